@@ -10,6 +10,9 @@ import config from "../src/config/config.js";
 // Import routes - fix the path
 import { authRoutes } from "../src/routes/auth.js";
 import { floodReportRoutes } from "../src/routes/flood-reports.js"; // Add this line
+import { alertRoutes } from "../src/routes/alerts.js";
+import { webhookRoutes } from "../src/routes/webhooks.js";
+import { geoRoutes } from "../src/routes/geo.js";
 
 // Import middleware - fix the paths
 import { securityHeaders, authLimiter, apiLimiter } from "../src/middleware/security.js";
@@ -22,6 +25,15 @@ import securityLogger from "../src/middleware/securityLogger.js";
 // Import database connection - fix the path
 import { connectDB } from "../src/config/database.js";
 
+// Import scheduled jobs
+import { startReportLifecycleJob } from "../src/jobs/reportLifecycleJob.js";
+import { startWebhookRetryJob } from "../src/jobs/webhookRetryJob.js";
+
+// Import realtime endpoints
+import { attachReportSocket } from "../src/services/reportSocket.js";
+import { startAlertNotifications } from "../src/services/alertService.js";
+import { startWebhookDispatch } from "../src/services/webhookService.js";
+
 const app = express();
 
 // Environment detection
@@ -57,7 +69,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "Accept", "Origin"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "Accept", "Origin", "X-Device-Id"],
   maxAge: 86400,
 };
 
@@ -87,8 +99,17 @@ if (!isVercel) {
       process.exit(1);
     }
   });
+
+  // Stale/auto-resolve sweep; serverless deployments need an external cron instead
+  startReportLifecycleJob();
+  startWebhookRetryJob();
 }
 
+// Email subscribers whose watch area covers a newly submitted report
+startAlertNotifications();
+// Signed callbacks to partner systems on report creation and status changes
+startWebhookDispatch();
+
 // Health check endpoint
 app.get("/api/health", async (req, res) => {
   const healthCheck = {
@@ -150,6 +171,9 @@ app.use(async (req, res, next) => {
 // API Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/flood-reports", floodReportRoutes); // Add this line
+app.use("/api/alerts", alertRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/geo", geoRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -166,7 +190,7 @@ app.use(errorHandler);
 // ADD SERVER STARTUP CODE AT THE BOTTOM:
 const PORT = config.port || 5000;
 
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   logger.info(`🚀 FloodWatch.ph API server running on port ${PORT}`);
   logger.info(`📊 Environment: ${config.env}`);
   logger.info(`🌐 Health check: http://localhost:${PORT}/api/health`);
@@ -174,6 +198,9 @@ app.listen(PORT, '0.0.0.0', () => {
   logger.info(`🌊 Flood reports API: http://localhost:${PORT}/api/flood-reports`); // Add this line
 });
 
+// WebSocket report feed shares the HTTP server
+attachReportSocket(server);
+
 // Process event handlers
 process.on('unhandledRejection', (reason) => {
   logger.error('Unhandled Rejection:', {
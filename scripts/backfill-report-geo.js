@@ -0,0 +1,27 @@
+// scripts/backfill-report-geo.js
+// Populates FloodReport.geo for reports saved before the GeoJSON field existed.
+import mongoose from "mongoose";
+import { connectDB } from "../src/config/database.js";
+import FloodReport from "../src/models/FloodReport.js";
+import logger from "../src/utils/logger.js";
+
+const run = async () => {
+  await connectDB();
+
+  const result = await FloodReport.updateMany(
+    {
+      geo: { $exists: false },
+      latitude: { $type: "number" },
+      longitude: { $type: "number" },
+    },
+    [{ $set: { geo: { type: "Point", coordinates: ["$longitude", "$latitude"] } } }]
+  );
+
+  logger.info("Flood report geo backfill complete", { updated: result.modifiedCount });
+  await mongoose.connection.close();
+};
+
+run().catch((error) => {
+  logger.error("Flood report geo backfill failed:", { error: error.message });
+  process.exit(1);
+});
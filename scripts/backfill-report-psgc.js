@@ -0,0 +1,49 @@
+// scripts/backfill-report-psgc.js
+// Tags existing reports with PSGC codes from their coordinates. Run after
+// importing boundaries with scripts/import-psgc.js. Reports whose code was
+// submitted by the reporter are left alone.
+import mongoose from "mongoose";
+import { connectDB } from "../src/config/database.js";
+import FloodReport from "../src/models/FloodReport.js";
+import { locatePsgc } from "../src/services/psgcService.js";
+import { snapshotReport, recordRevision } from "../src/services/reportHistory.js";
+import logger from "../src/utils/logger.js";
+
+const run = async () => {
+  await connectDB();
+
+  const cursor = FloodReport.find({
+    "geo.coordinates": { $exists: true },
+    "psgc.source": { $ne: "submitted" },
+  })
+    .select("geo psgc")
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let unmatched = 0;
+
+  for await (const report of cursor) {
+    const psgc = await locatePsgc(report.geo);
+    if (!psgc) {
+      unmatched += 1;
+      continue;
+    }
+
+    await FloodReport.updateOne({ _id: report._id }, { $set: { psgc } });
+    await recordRevision({ ...report, psgc }, snapshotReport(report), {
+      action: "psgc",
+      actor: "system",
+      reason: "PSGC backfill",
+    });
+    updated += 1;
+  }
+
+  logger.info("Flood report PSGC backfill complete", { updated, unmatched });
+  await mongoose.connection.close();
+};
+
+run().catch((error) => {
+  logger.error("Flood report PSGC backfill failed:", { error: error.message });
+  process.exit(1);
+});
@@ -0,0 +1,112 @@
+// scripts/import-places.js
+// Loads named places into the local gazetteer (Place collection) used by
+// reverse geocoding and place search.
+//
+//   node scripts/import-places.js --file places.geojson [--source osm]
+//
+// Takes a GeoJSON FeatureCollection of named Point, LineString or
+// MultiLineString features (roads are stored at their middle vertex).
+// kind, locality and psgc are read from the first matching property below.
+// Re-running with the same --source updates places in place.
+import fs from "fs";
+import mongoose from "mongoose";
+import { connectDB } from "../src/config/database.js";
+import Place from "../src/models/Place.js";
+import { toGeoPoint } from "../src/utils/geo.js";
+import { placeSearchFields } from "../src/utils/placeName.js";
+import logger from "../src/utils/logger.js";
+
+const BATCH_SIZE = 1000;
+
+const KIND_PROPERTIES = ["kind", "type", "fclass", "place", "amenity", "highway"];
+const LOCALITY_PROPERTIES = ["locality", "city", "addr:city", "municipality"];
+const PSGC_PROPERTIES = ["psgc", "psgc_code", "adm4_psgc", "adm3_psgc"];
+
+const parseArgs = (argv) => {
+  const args = { source: "import" };
+  for (let i = 0; i < argv.length; i += 2) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (flag === "--file") args.file = value;
+    else if (flag === "--source") args.source = value;
+    else throw new Error(`Unknown argument: ${flag}`);
+  }
+  if (!args.file) {
+    throw new Error("Usage: import-places.js --file <places.geojson> [--source <name>]");
+  }
+  return args;
+};
+
+const firstProperty = (properties, names) => {
+  const name = names.find((key) => properties[key] !== undefined && properties[key] !== null && properties[key] !== "");
+  return name ? String(properties[name]).trim() : undefined;
+};
+
+// [lng, lat] standing in for a feature: the point itself, or the middle
+// vertex of a line (of the longest part, for multi-part lines)
+const representativePosition = (geometry) => {
+  if (geometry?.type === "Point") return geometry.coordinates;
+
+  let line;
+  if (geometry?.type === "LineString") line = geometry.coordinates;
+  if (geometry?.type === "MultiLineString") {
+    line = (geometry.coordinates || []).reduce((longest, part) => (
+      Array.isArray(part) && part.length > (longest?.length || 0) ? part : longest
+    ), null);
+  }
+  return Array.isArray(line) && line.length > 0 ? line[Math.floor(line.length / 2)] : undefined;
+};
+
+const run = async () => {
+  const { file, source } = parseArgs(process.argv.slice(2));
+  const { features = [] } = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  await connectDB();
+
+  const operations = [];
+  let skipped = 0;
+
+  for (const feature of features) {
+    const properties = feature.properties || {};
+    const name = typeof properties.name === "string" ? properties.name.trim() : "";
+    const [lng, lat] = representativePosition(feature.geometry) || [];
+    const geo = toGeoPoint(lat, lng);
+
+    if (!name || !geo) {
+      skipped += 1;
+      continue;
+    }
+
+    const id = feature.id ?? properties.id ?? `${name}@${geo.coordinates.join(",")}`;
+    const psgc = firstProperty(properties, PSGC_PROPERTIES);
+
+    operations.push({
+      updateOne: {
+        filter: { sourceId: `${source}:${id}` },
+        update: {
+          $set: {
+            name: name.slice(0, 200),
+            ...placeSearchFields(name.slice(0, 200)),
+            kind: firstProperty(properties, KIND_PROPERTIES)?.slice(0, 50),
+            locality: firstProperty(properties, LOCALITY_PROPERTIES)?.slice(0, 200),
+            psgcCode: psgc && /^\d{9,10}$/.test(psgc) ? psgc.padStart(10, "0") : undefined,
+            geo,
+          },
+        },
+        upsert: true,
+      },
+    });
+  }
+
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    await Place.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+  }
+
+  logger.info("Place import complete", { file, source, places: operations.length, skipped });
+  await mongoose.connection.close();
+};
+
+run().catch((error) => {
+  logger.error("Place import failed:", { error: error.message });
+  process.exit(1);
+});
@@ -0,0 +1,266 @@
+// scripts/import-psgc.js
+// Loads PSGC reference data (regions, provinces, cities/municipalities and
+// barangays) into the AdminArea collection, and optionally their boundaries.
+//
+//   node scripts/import-psgc.js --psgc psgc.csv [--boundaries barangays.geojson]...
+//
+// --psgc takes the PSA publication saved as CSV (columns "10-digit PSGC",
+// "Name" and "Geographic Level") or a JSON array of { code, name, level }.
+// --boundaries takes a GeoJSON FeatureCollection whose features carry the PSGC
+// code in one of BOUNDARY_CODE_PROPERTIES (or --code-property); repeat it for
+// several files. Re-running the import updates entries in place, including
+// their search fields and centres.
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import { connectDB } from "../src/config/database.js";
+import AdminArea, { ADMIN_LEVELS } from "../src/models/AdminArea.js";
+import { polygonCenter } from "../src/utils/geo.js";
+import { placeSearchFields } from "../src/utils/placeName.js";
+import logger from "../src/utils/logger.js";
+
+const BATCH_SIZE = 1000;
+
+// PSA level abbreviations; special geographic areas behave like municipalities
+const LEVEL_ALIASES = {
+  reg: "region",
+  prov: "province",
+  city: "city",
+  mun: "municipality",
+  submun: "submunicipality",
+  sga: "municipality",
+  bgy: "barangay",
+};
+
+const CODE_COLUMNS = ["10digitpsgc", "psgc", "psgccode", "code"];
+const NAME_COLUMNS = ["name"];
+const LEVEL_COLUMNS = ["geographiclevel", "level"];
+
+const BOUNDARY_CODE_PROPERTIES = ["psgc", "code", "adm4_psgc", "adm3_psgc", "adm2_psgc", "adm1_psgc"];
+
+const parseArgs = (argv) => {
+  const args = { boundaries: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (flag === "--psgc") args.psgc = value;
+    else if (flag === "--boundaries") args.boundaries.push(value);
+    else if (flag === "--code-property") args.codeProperty = value;
+    else throw new Error(`Unknown argument: ${flag}`);
+    i += 1;
+  }
+  if (!args.psgc && args.boundaries.length === 0) {
+    throw new Error("Usage: import-psgc.js --psgc <file.csv|file.json> [--boundaries <file.geojson>]...");
+  }
+  return args;
+};
+
+// Spreadsheet exports drop the leading zero of codes in regions 01-09
+const normalizeCode = (value) => {
+  const digits = String(value ?? "").trim().replace(/\.0+$/, "");
+  return /^\d{9,10}$/.test(digits) ? digits.padStart(10, "0") : null;
+};
+
+const normalizeLevel = (value) => {
+  const level = String(value ?? "").trim().toLowerCase();
+  return LEVEL_ALIASES[level] || (ADMIN_LEVELS.includes(level) ? level : null);
+};
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const readPsgcRows = (file) => {
+  const text = fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "");
+  if (path.extname(file).toLowerCase() === ".json") return JSON.parse(text);
+
+  const [header, ...rows] = parseCsv(text);
+  const columns = header.map((column) => column.toLowerCase().replace(/[^a-z0-9]/g, ""));
+  const find = (names) => columns.findIndex((column) => names.includes(column));
+  const codeIndex = find(CODE_COLUMNS);
+  const nameIndex = find(NAME_COLUMNS);
+  const levelIndex = find(LEVEL_COLUMNS);
+
+  if (codeIndex < 0 || nameIndex < 0 || levelIndex < 0) {
+    throw new Error("PSGC CSV needs code, name and geographic level columns");
+  }
+
+  return rows.map((row) => ({ code: row[codeIndex], name: row[nameIndex], level: row[levelIndex] }));
+};
+
+// Parent is the nearest enclosing entry by code prefix (barangay -> city or
+// sub-municipality -> province -> region). Independent cities fall through
+// to whichever enclosing entry exists.
+const findParentCode = (area, areasByCode) => {
+  const rank = ADMIN_LEVELS.indexOf(area.level);
+  const candidates = [
+    `${area.code.slice(0, 7)}000`,
+    `${area.code.slice(0, 5)}00000`,
+    `${area.code.slice(0, 2)}00000000`,
+  ];
+
+  return candidates.find((code) => {
+    const candidate = areasByCode.get(code);
+    return candidate && code !== area.code && ADMIN_LEVELS.indexOf(candidate.level) < rank;
+  });
+};
+
+const ANCESTOR_FIELDS = {
+  region: "regionCode",
+  province: "provinceCode",
+  city: "cityCode",
+  municipality: "cityCode",
+};
+
+const importPsgc = async (file) => {
+  const areasByCode = new Map();
+  let skipped = 0;
+
+  for (const row of readPsgcRows(file)) {
+    const code = normalizeCode(row.code);
+    const level = normalizeLevel(row.level);
+    const name = String(row.name ?? "").trim();
+    if (!code || !level || !name) {
+      skipped += 1;
+      continue;
+    }
+    areasByCode.set(code, { code, name, level });
+  }
+
+  for (const area of areasByCode.values()) {
+    area.parentCode = findParentCode(area, areasByCode);
+  }
+
+  const operations = [];
+  for (const area of areasByCode.values()) {
+    const ancestors = {};
+    for (let current = area; current; current = areasByCode.get(current.parentCode)) {
+      const field = ANCESTOR_FIELDS[current.level];
+      if (field && !ancestors[field]) ancestors[field] = current.code;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { code: area.code },
+        update: {
+          $set: {
+            name: area.name,
+            ...placeSearchFields(area.name),
+            level: area.level,
+            parentCode: area.parentCode,
+            regionCode: ancestors.regionCode,
+            provinceCode: ancestors.provinceCode,
+            cityCode: ancestors.cityCode,
+          },
+        },
+        upsert: true,
+      },
+    });
+  }
+
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    await AdminArea.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+  }
+
+  logger.info("PSGC import complete", { file, areas: areasByCode.size, skipped });
+};
+
+const importBoundaries = async (file, codeProperty) => {
+  const { features = [] } = JSON.parse(fs.readFileSync(file, "utf8"));
+  const properties = codeProperty ? [codeProperty] : BOUNDARY_CODE_PROPERTIES;
+
+  const operations = [];
+  let skipped = 0;
+
+  for (const feature of features) {
+    const property = properties.find((name) => feature.properties?.[name] !== undefined);
+    const code = property && normalizeCode(feature.properties[property]);
+    const { type, coordinates } = feature.geometry || {};
+
+    if (!code || !["Polygon", "MultiPolygon"].includes(type)) {
+      skipped += 1;
+      continue;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { code },
+        update: {
+          $set: {
+            boundary: { type, coordinates },
+            center: polygonCenter({ type, coordinates }),
+          },
+        },
+      },
+    });
+  }
+
+  let updated = 0;
+  let invalid = 0;
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    try {
+      const result = await AdminArea.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+      updated += result.modifiedCount;
+    } catch (error) {
+      // Geometries MongoDB can't index (self-intersecting rings etc.) fail on their own
+      if (!error.writeErrors) throw error;
+      updated += error.result?.modifiedCount ?? 0;
+      invalid += error.writeErrors.length;
+    }
+  }
+
+  logger.info("PSGC boundary import complete", { file, updated, skipped, invalid });
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  await connectDB();
+
+  if (args.psgc) await importPsgc(args.psgc);
+  for (const file of args.boundaries) {
+    await importBoundaries(file, args.codeProperty);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch((error) => {
+  logger.error("PSGC import failed:", { error: error.message });
+  process.exit(1);
+});
@@ -70,6 +70,95 @@ const envVarsSchema = Joi.object({
     .valid('error', 'warn', 'info', 'debug')
     .default('info')
     .description('Log level'),
+
+  STORAGE_DRIVER: Joi.string()
+    .valid('local')
+    .default('local')
+    .description('Storage backend for uploaded photos'),
+
+  UPLOAD_DIR: Joi.string()
+    .default('uploads')
+    .description('Directory for the local photo storage backend'),
+
+  MAX_PHOTOS_PER_REPORT: Joi.number()
+    .default(5)
+    .description('Max photos attached to a single flood report'),
+
+  MAX_PHOTO_SIZE_MB: Joi.number()
+    .default(8)
+    .description('Max size of a single uploaded photo in megabytes'),
+
+  DISPUTE_FLAG_THRESHOLD: Joi.number()
+    .default(3)
+    .description('Disputes after which a flood report is flagged for review'),
+
+  DUPLICATE_RADIUS_METERS: Joi.number()
+    .default(150)
+    .description('Distance within which active reports are possible duplicates'),
+
+  DUPLICATE_WINDOW_MINUTES: Joi.number()
+    .default(180)
+    .description('How far back to look for possible duplicate reports'),
+
+  REPORT_STALE_AFTER_HOURS: Joi.number()
+    .default(6)
+    .description('Hours without updates or confirmations before an active report goes stale'),
+
+  REPORT_RESOLVE_AFTER_HOURS: Joi.number()
+    .default(24)
+    .description('Hours without updates or confirmations before a report is auto-resolved'),
+
+  REPORT_LIFECYCLE_INTERVAL_MINUTES: Joi.number()
+    .default(5)
+    .description('How often the report lifecycle job runs'),
+
+  REPORT_EDIT_WINDOW_MINUTES: Joi.number()
+    .min(0)
+    .default(30)
+    .description('How long after submitting a reporter can edit or delete their flood report'),
+
+  WEBHOOK_TIMEOUT_MS: Joi.number()
+    .default(10000)
+    .description('How long to wait for a webhook endpoint to respond'),
+
+  WEBHOOK_MAX_ATTEMPTS: Joi.number()
+    .min(1)
+    .default(6)
+    .description('Delivery attempts before a webhook delivery is marked failed'),
+
+  WEBHOOK_RETRY_BASE_SECONDS: Joi.number()
+    .default(30)
+    .description('First retry delay; doubles on every further attempt'),
+
+  GEOCODE_PLACE_RADIUS_METERS: Joi.number()
+    .default(1000)
+    .description('How far reverse geocoding looks for the nearest gazetteer place'),
+
+  ANON_REPORTS_PER_IP_PER_HOUR: Joi.number()
+    .default(5)
+    .description('Anonymous reports accepted per IP address per hour'),
+
+  ANON_REPORTS_PER_DEVICE_PER_HOUR: Joi.number()
+    .default(3)
+    .description('Anonymous reports accepted per device id per hour'),
+
+  ANON_POW_DIFFICULTY: Joi.number()
+    .min(0)
+    .max(32)
+    .default(18)
+    .description('Leading zero bits required in anonymous report proof-of-work'),
+
+  ANON_CHALLENGE_TTL_SECONDS: Joi.number()
+    .default(300)
+    .description('How long an anonymous report challenge stays valid'),
+
+  STATS_TIMEZONE: Joi.string()
+    .default('Asia/Manila')
+    .description('Time zone that statistics buckets are aligned to'),
+
+  STATS_CACHE_TTL_SECONDS: Joi.number()
+    .default(60)
+    .description('How long computed statistics are cached in Redis'),
 }).unknown();
 
 const { value: envVars, error } = envVarsSchema.validate(process.env);
@@ -116,6 +205,39 @@ const config = {
   cors: {
     allowedOrigins: allowedOrigins,
   },
+  uploads: {
+    driver: envVars.STORAGE_DRIVER,
+    dir: envVars.UPLOAD_DIR,
+    maxPhotosPerReport: parseInt(envVars.MAX_PHOTOS_PER_REPORT),
+    maxPhotoSize: parseInt(envVars.MAX_PHOTO_SIZE_MB) * 1024 * 1024,
+  },
+  reports: {
+    disputeFlagThreshold: parseInt(envVars.DISPUTE_FLAG_THRESHOLD),
+    duplicateRadius: parseInt(envVars.DUPLICATE_RADIUS_METERS),
+    duplicateWindowMs: parseInt(envVars.DUPLICATE_WINDOW_MINUTES) * 60 * 1000,
+    staleAfterMs: Number(envVars.REPORT_STALE_AFTER_HOURS) * 60 * 60 * 1000,
+    resolveAfterMs: Number(envVars.REPORT_RESOLVE_AFTER_HOURS) * 60 * 60 * 1000,
+    lifecycleIntervalMs: Number(envVars.REPORT_LIFECYCLE_INTERVAL_MINUTES) * 60 * 1000,
+    editWindowMs: Number(envVars.REPORT_EDIT_WINDOW_MINUTES) * 60 * 1000,
+  },
+  webhooks: {
+    timeoutMs: Number(envVars.WEBHOOK_TIMEOUT_MS),
+    maxAttempts: parseInt(envVars.WEBHOOK_MAX_ATTEMPTS),
+    retryBaseMs: Number(envVars.WEBHOOK_RETRY_BASE_SECONDS) * 1000,
+  },
+  geocoding: {
+    placeRadius: Number(envVars.GEOCODE_PLACE_RADIUS_METERS),
+  },
+  anonymousReports: {
+    perIpPerHour: parseInt(envVars.ANON_REPORTS_PER_IP_PER_HOUR),
+    perDevicePerHour: parseInt(envVars.ANON_REPORTS_PER_DEVICE_PER_HOUR),
+    powDifficulty: parseInt(envVars.ANON_POW_DIFFICULTY),
+    challengeTtlSeconds: parseInt(envVars.ANON_CHALLENGE_TTL_SECONDS),
+  },
+  stats: {
+    timezone: envVars.STATS_TIMEZONE,
+    cacheTtlSeconds: parseInt(envVars.STATS_CACHE_TTL_SECONDS),
+  },
 };
 
 export default config;
\ No newline at end of file
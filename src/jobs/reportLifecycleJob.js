@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import redisService from '../services/redisService.js';
+import { runReportLifecycle } from '../services/reportLifecycle.js';
+import logger from '../utils/logger.js';
+
+const LOCK_KEY = 'locks:report-lifecycle';
+
+let timer = null;
+
+// One run at a time across all server instances
+const runWithLock = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    logger.debug('Report lifecycle skipped - database not connected');
+    return;
+  }
+
+  const ttlMs = config.reports.lifecycleIntervalMs;
+  let token;
+  try {
+    token = await redisService.acquireLock(LOCK_KEY, ttlMs);
+  } catch (error) {
+    logger.warn('Report lifecycle skipped - lock unavailable', { error: error.message });
+    return;
+  }
+
+  if (!token) {
+    logger.debug('Report lifecycle skipped - running on another instance');
+    return;
+  }
+
+  // Keep the lock while a slow run is still going, so no other instance starts one
+  const renewal = setInterval(() => {
+    redisService.extendLock(LOCK_KEY, token, ttlMs)
+      .then((extended) => {
+        if (!extended) logger.warn('Report lifecycle lock lost during run');
+      })
+      .catch(() => {});
+  }, ttlMs / 3);
+
+  try {
+    await runReportLifecycle();
+  } catch (error) {
+    logger.error('Report lifecycle run failed:', { error: error.message });
+  } finally {
+    clearInterval(renewal);
+    await redisService.releaseLock(LOCK_KEY, token).catch(() => {});
+  }
+};
+
+/**
+ * Start the scheduled stale/auto-resolve job
+ * @returns {Function} Stops the job
+ */
+const startReportLifecycleJob = () => {
+  if (timer) return stopReportLifecycleJob;
+
+  timer = setInterval(runWithLock, config.reports.lifecycleIntervalMs);
+  timer.unref();
+
+  logger.info('Report lifecycle job started', {
+    intervalMs: config.reports.lifecycleIntervalMs,
+  });
+
+  return stopReportLifecycleJob;
+};
+
+const stopReportLifecycleJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export { startReportLifecycleJob, stopReportLifecycleJob };
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import { processDueDeliveries } from '../services/webhookService.js';
+import logger from '../utils/logger.js';
+
+let timer = null;
+let running = false;
+
+// Deliveries are claimed one by one, so no cross-instance lock is needed
+const runOnce = async () => {
+  if (running) return;
+  if (mongoose.connection.readyState !== 1) {
+    logger.debug('Webhook retries skipped - database not connected');
+    return;
+  }
+
+  running = true;
+  try {
+    const attempted = await processDueDeliveries();
+    if (attempted > 0) {
+      logger.info('Webhook retries processed', { attempted });
+    }
+  } catch (error) {
+    logger.error('Webhook retry run failed:', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start polling for webhook deliveries that are due for a retry
+ * @returns {Function} Stops the job
+ */
+const startWebhookRetryJob = () => {
+  if (timer) return stopWebhookRetryJob;
+
+  timer = setInterval(runOnce, config.webhooks.retryBaseMs);
+  timer.unref();
+
+  logger.info('Webhook retry job started', {
+    intervalMs: config.webhooks.retryBaseMs,
+  });
+
+  return stopWebhookRetryJob;
+};
+
+const stopWebhookRetryJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export { startWebhookRetryJob, stopWebhookRetryJob };
@@ -1,6 +1,28 @@
 import { verifyToken } from '../utils/auth.js';
 import User from '../models/User.js';
 
+/**
+ * Resolve the active user a JWT belongs to. Shared by the HTTP middleware
+ * and the WebSocket upgrade handler.
+ * @param {string} token - Raw JWT
+ * @returns {Promise<Object>} { user } on success, or { error } with a client-safe message
+ * @throws {Error} When the token fails verification
+ */
+const authenticateToken = async (token) => {
+  const decoded = verifyToken(token);
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    return { error: 'Token is invalid. User not found.' };
+  }
+
+  if (!user.isActive) {
+    return { error: 'Account is deactivated.' };
+  }
+
+  return { user };
+};
+
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -12,20 +34,12 @@ const auth = async (req, res, next) => {
       });
     }
 
-    const decoded = verifyToken(token);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token is invalid. User not found.'
-      });
-    }
+    const { user, error } = await authenticateToken(token);
 
-    if (!user.isActive) {
+    if (error) {
       return res.status(401).json({
         success: false,
-        message: 'Account is deactivated.'
+        message: error
       });
     }
 
@@ -47,4 +61,18 @@ const auth = async (req, res, next) => {
   }
 };
 
-export { auth };
\ No newline at end of file
+/**
+ * Restrict a route to users with one of the given roles. Use after `auth`.
+ * @param {...string} roles - Allowed User.role values
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action.'
+    });
+  }
+  next();
+};
+
+export { auth, authenticateToken, requireRole };
\ No newline at end of file
@@ -23,8 +23,9 @@ const securityHeaders = helmet({
   } : false
 });
 
-const createRateLimit = (windowMs, max, message) => {
+const createRateLimit = (windowMs, max, message, options = {}) => {
   return rateLimit({
+    ...options,
     windowMs,
     max,
     message: {
@@ -61,9 +62,25 @@ const strictLimiter = createRateLimit(
   'Too many requests from this IP, please slow down.'
 );
 
+// Anonymous flood reports, limited per IP and per client-generated device id
+const anonymousReportIpLimiter = createRateLimit(
+  60 * 60 * 1000,
+  config.anonymousReports.perIpPerHour,
+  'Too many anonymous reports from this network, please sign in to keep reporting.'
+);
+
+const anonymousReportDeviceLimiter = createRateLimit(
+  60 * 60 * 1000,
+  config.anonymousReports.perDevicePerHour,
+  'Too many anonymous reports from this device, please sign in to keep reporting.',
+  { keyGenerator: (req) => `device:${req.get('X-Device-Id')}` }
+);
+
 export {
   securityHeaders,
   authLimiter,
   apiLimiter,
   strictLimiter,
+  anonymousReportIpLimiter,
+  anonymousReportDeviceLimiter,
 };
\ No newline at end of file
@@ -0,0 +1,54 @@
+import multer from 'multer';
+import config from '../config/config.js';
+import { ALLOWED_PHOTO_MIME_TYPES } from '../services/photoService.js';
+
+const photoUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.uploads.maxPhotoSize,
+    files: config.uploads.maxPhotosPerReport,
+  },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_PHOTO_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error(`Unsupported photo type: ${file.mimetype}`);
+      error.statusCode = 400;
+      return callback(error);
+    }
+    callback(null, true);
+  },
+});
+
+const uploadErrorMessage = (error, field, maxCount) => {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return `Photos must be smaller than ${Math.round(config.uploads.maxPhotoSize / (1024 * 1024))}MB`;
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+      return `Send at most ${maxCount} photo(s) in the "${field}" field`;
+    default:
+      return error.message;
+  }
+};
+
+/**
+ * Accept up to the configured number of photos on a multipart field.
+ * JSON requests pass through untouched.
+ * @param {string} field - Multipart field name
+ * @param {number} [maxCount] - Max files for this field
+ */
+const uploadPhotos = (field, maxCount = config.uploads.maxPhotosPerReport) => (req, res, next) => {
+  photoUploader.array(field, maxCount)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError || error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: uploadErrorMessage(error, field, maxCount),
+      });
+    }
+
+    next(error);
+  });
+};
+
+export { uploadPhotos };
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+// PSGC geographic levels, from largest to smallest
+const ADMIN_LEVELS = ["region", "province", "city", "municipality", "submunicipality", "barangay"];
+
+// PSGC reference entry (Philippine Standard Geographic Code, 10-digit edition)
+const adminAreaSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    match: /^\d{10}$/,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  level: {
+    type: String,
+    enum: ADMIN_LEVELS,
+    required: true,
+  },
+  parentCode: {
+    type: String,
+  },
+  // Codes of the containing region/province/city, or of the area itself at that
+  // level, so a report can be tagged from one lookup. provinceCode is unset for
+  // NCR and other areas outside a province.
+  regionCode: {
+    type: String,
+  },
+  provinceCode: {
+    type: String,
+  },
+  cityCode: {
+    type: String,
+  },
+  // Optional boundary used to place reports from their coordinates
+  boundary: {
+    type: {
+      type: String,
+      enum: ["Polygon", "MultiPolygon"],
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  // Approximate centre of the boundary, returned by place search
+  center: {
+    type: {
+      type: String,
+      enum: ["Point"],
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined,
+    },
+  },
+  // Search fields (see utils/placeName.js)
+  searchName: {
+    type: String,
+  },
+  searchTrigrams: {
+    type: [String],
+    default: undefined,
+  },
+}, {
+  timestamps: true,
+});
+
+adminAreaSchema.index({ code: 1 }, { unique: true });
+adminAreaSchema.index({ parentCode: 1 });
+adminAreaSchema.index({ level: 1, name: 1 });
+adminAreaSchema.index({ boundary: "2dsphere" });
+adminAreaSchema.index({ searchTrigrams: 1 });
+
+export { ADMIN_LEVELS };
+export default mongoose.model("AdminArea", adminAreaSchema);
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import { SEVERITY_LEVELS } from "./FloodReport.js";
+
+const MAX_ALERT_RADIUS = 50000; // metres
+
+// A user's watch area: a point plus radius, or a polygon
+const alertSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  area: {
+    type: {
+      type: String,
+      enum: ["Point", "Polygon"],
+      required: true,
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  // Only used for Point areas
+  radius: {
+    type: Number,
+    min: 1,
+    max: MAX_ALERT_RADIUS,
+  },
+  minSeverity: {
+    type: String,
+    enum: SEVERITY_LEVELS,
+    default: "moderate",
+  },
+  // Minimum gap between two emails for this subscription
+  throttleMinutes: {
+    type: Number,
+    min: 5,
+    max: 1440,
+    default: 60,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  lastNotifiedAt: {
+    type: Date,
+  },
+  notificationCount: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+alertSubscriptionSchema.index({ area: "2dsphere" });
+alertSubscriptionSchema.index({ user: 1, createdAt: -1 });
+
+export { MAX_ALERT_RADIUS };
+export default mongoose.model("AlertSubscription", alertSubscriptionSchema);
@@ -1,15 +1,99 @@
 import mongoose from "mongoose";
+import { toGeoPoint } from "../utils/geo.js";
+import { WATER_LEVEL_REFERENCE_NAMES, MAX_WATER_DEPTH_CM } from "../utils/waterLevel.js";
+
+// Ordered from least to most severe
+const SEVERITY_LEVELS = ["light", "moderate", "severe"];
+
+// Lifecycle order; allowed transitions live in services/reportStatus.js
+const REPORT_STATUSES = ["submitted", "active", "receding", "stale", "resolved", "false_report", "archived"];
+
+// Anonymous reports start low and are raised by a registered user's confirmation
+const TRUST_LEVELS = ["low", "standard"];
+
+// Photo metadata; the files themselves live in the storage backend
+const photoSchema = new mongoose.Schema({
+  originalName: {
+    type: String,
+  },
+  mimeType: {
+    type: String,
+    required: true,
+  },
+  extension: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+  },
+  width: {
+    type: Number,
+  },
+  height: {
+    type: Number,
+  },
+  uploadedBy: {
+    type: String,
+  },
+  // Report the file was originally stored under, for photos carried over by a merge
+  storedUnder: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Moderator actions taken on a report
+const moderationEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ["verify", "unverify", "reject"],
+    required: true,
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 500,
+  },
+  moderator: {
+    type: String,
+    required: true,
+  },
+  moderatorRole: {
+    type: String,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
 
 const floodReportSchema = new mongoose.Schema({
   severity: {
     type: String,
-    enum: ["light", "moderate", "severe"],
+    enum: SEVERITY_LEVELS,
     required: true,
   },
+  // Severity as first reported, set once follow-up updates change it
+  originalSeverity: {
+    type: String,
+    enum: SEVERITY_LEVELS,
+  },
   location: {
     type: String,
     required: true,
   },
+  // Optional measured water level; depthCm is filled in from reference when omitted
+  waterLevel: {
+    depthCm: {
+      type: Number,
+      min: 0,
+      max: MAX_WATER_DEPTH_CM,
+    },
+    reference: {
+      type: String,
+      enum: WATER_LEVEL_REFERENCE_NAMES,
+    },
+  },
   description: {
     type: String,
     maxlength: 1000,
@@ -20,26 +104,169 @@ const floodReportSchema = new mongoose.Schema({
   longitude: {
     type: Number,
   },
+  // GeoJSON mirror of latitude/longitude, kept in sync on save
+  geo: {
+    type: {
+      type: String,
+      enum: ["Point"],
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined,
+    },
+  },
+  // PSGC codes of the administrative areas containing the report (see AdminArea)
+  psgc: {
+    region: { type: String },
+    province: { type: String },
+    city: { type: String }, // city or municipality
+    barangay: { type: String },
+    source: {
+      type: String,
+      enum: ["submitted", "coordinates"],
+    },
+  },
   reportedBy: {
     type: String,
     default: "anonymous",
   },
+  // Submitted without an account (POST /anonymous)
+  anonymous: {
+    type: Boolean,
+    default: false,
+  },
+  trustLevel: {
+    type: String,
+    enum: TRUST_LEVELS,
+    default: "standard",
+  },
+  // Keyed hashes of an anonymous submitter's IP and device id, for abuse tracing
+  submitterIpHash: {
+    type: String,
+    select: false,
+  },
+  submitterDeviceHash: {
+    type: String,
+    select: false,
+  },
+  photos: {
+    type: [photoSchema],
+    default: [],
+  },
   status: {
     type: String,
-    enum: ["active", "resolved", "false_report"],
+    enum: REPORT_STATUSES,
     default: "active",
   },
   verified: {
     type: Boolean,
     default: false,
   },
+  verifiedBy: {
+    type: String,
+  },
+  verifiedAt: {
+    type: Date,
+  },
+  moderationLog: {
+    type: [moderationEntrySchema],
+    default: [],
+  },
+  // Community votes, denormalized from ReportVote
+  confirmCount: {
+    type: Number,
+    default: 0,
+  },
+  disputeCount: {
+    type: Number,
+    default: 0,
+  },
+  lastConfirmedAt: {
+    type: Date,
+  },
+  flaggedForReview: {
+    type: Boolean,
+    default: false,
+  },
+  flaggedAt: {
+    type: Date,
+  },
+  // Last report, update or confirmation; drives the stale/auto-resolve lifecycle
+  lastActivityAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Follow-up updates thread (see ReportUpdate)
+  updateCount: {
+    type: Number,
+    default: 0,
+  },
+  lastUpdateAt: {
+    type: Date,
+  },
+  // Duplicate handling: the report this one likely duplicates, and merge links
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "FloodReport",
+  },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "FloodReport",
+  },
+  mergedFrom: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "FloodReport" }],
+    default: [],
+  },
+  // Soft delete tombstone: deleted reports stay for admins and the revision history
+  deletedAt: {
+    type: Date,
+  },
+  deletedBy: {
+    type: String,
+  },
+  deletionReason: {
+    type: String,
+    maxlength: 500,
+  },
 }, {
   timestamps: true,
+  toJSON: {
+    // Never send submitter fingerprints to clients, feeds or webhooks
+    transform: (doc, ret) => {
+      delete ret.submitterIpHash;
+      delete ret.submitterDeviceHash;
+      return ret;
+    },
+  },
+});
+
+// Keep the GeoJSON point in sync with latitude/longitude
+floodReportSchema.pre("validate", function (next) {
+  if (this.isModified("latitude") || this.isModified("longitude")) {
+    this.geo = toGeoPoint(this.latitude, this.longitude) || undefined;
+  }
+  next();
 });
 
 // Index for geospatial queries
+floodReportSchema.index({ geo: "2dsphere" });
+
+// Index for location text search
 floodReportSchema.index({ location: "text" });
 floodReportSchema.index({ createdAt: -1 });
+// Keyset (cursor) pagination of listings
+floodReportSchema.index({ createdAt: -1, _id: -1 });
+floodReportSchema.index({ reportedBy: 1, createdAt: -1, _id: -1 });
 floodReportSchema.index({ severity: 1, status: 1 });
+floodReportSchema.index({ "waterLevel.depthCm": 1 }, { sparse: true });
+floodReportSchema.index({ verified: 1, status: 1, createdAt: 1 });
+floodReportSchema.index({ duplicateOf: 1 }, { sparse: true });
+floodReportSchema.index({ status: 1, lastActivityAt: 1 });
+floodReportSchema.index({ submitterDeviceHash: 1 }, { sparse: true });
+floodReportSchema.index({ "psgc.region": 1, createdAt: -1 }, { sparse: true });
+floodReportSchema.index({ "psgc.province": 1, createdAt: -1 }, { sparse: true });
+floodReportSchema.index({ "psgc.city": 1, createdAt: -1 }, { sparse: true });
+floodReportSchema.index({ "psgc.barangay": 1, createdAt: -1 }, { sparse: true });
 
+export { SEVERITY_LEVELS, REPORT_STATUSES, TRUST_LEVELS };
 export default mongoose.model("FloodReport", floodReportSchema);
\ No newline at end of file
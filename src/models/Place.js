@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// Named point from the local gazetteer (landmarks, sitios, streets, ...)
+const placeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+  },
+  // Free-form category from the source dataset, e.g. landmark, school, bridge
+  kind: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+  },
+  // Human-readable city/municipality the place is in, used in labels
+  locality: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+  },
+  // PSGC code of the barangay or city containing the place, when known
+  psgcCode: {
+    type: String,
+  },
+  geo: {
+    type: {
+      type: String,
+      enum: ["Point"],
+      required: true,
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true,
+    },
+  },
+  // Search fields (see utils/placeName.js)
+  searchName: {
+    type: String,
+  },
+  searchTrigrams: {
+    type: [String],
+    default: undefined,
+  },
+  // Identifier in the source dataset, so re-imports update in place
+  sourceId: {
+    type: String,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+placeSchema.index({ geo: "2dsphere" });
+placeSchema.index({ sourceId: 1 }, { unique: true });
+placeSchema.index({ searchTrigrams: 1 });
+
+export default mongoose.model("Place", placeSchema);
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+  },
+  from: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+}, {
+  _id: false,
+});
+
+// Append-only audit trail of changes made to a flood report
+const reportRevisionSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "FloodReport",
+    required: true,
+  },
+  action: {
+    type: String,
+    required: true,
+  },
+  changes: {
+    type: [changeSchema],
+    default: [],
+  },
+  actor: {
+    type: String, // user id, or "system" for automated changes
+    required: true,
+  },
+  actorRole: {
+    type: String,
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+reportRevisionSchema.index({ report: 1, createdAt: 1 });
+
+// Revisions are immutable once written
+const rejectMutation = function (next) {
+  next(new Error("Report revisions are immutable"));
+};
+
+reportRevisionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+reportRevisionSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectMutation
+);
+
+export default mongoose.model("ReportRevision", reportRevisionSchema);
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import { SEVERITY_LEVELS } from "./FloodReport.js";
+import { WATER_LEVEL_REFERENCE_NAMES, MAX_WATER_DEPTH_CM } from "../utils/waterLevel.js";
+
+// Timestamped follow-up posted on an existing flood report
+const reportUpdateSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "FloodReport",
+    required: true,
+  },
+  author: {
+    type: String,
+    required: true,
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 1000,
+  },
+  severity: {
+    type: String,
+    enum: SEVERITY_LEVELS,
+  },
+  waterLevel: {
+    depthCm: {
+      type: Number,
+      min: 0,
+      max: MAX_WATER_DEPTH_CM,
+    },
+    reference: {
+      type: String,
+      enum: WATER_LEVEL_REFERENCE_NAMES,
+    },
+  },
+  // Id of the photo in the parent report's photos array
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+}, {
+  timestamps: true,
+});
+
+reportUpdateSchema.index({ report: 1, createdAt: -1 });
+
+export default mongoose.model("ReportUpdate", reportUpdateSchema);
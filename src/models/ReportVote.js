@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+const VOTE_VALUES = ["confirm", "dispute"];
+
+// One community vote per user per flood report; the value can be changed
+const reportVoteSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "FloodReport",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  value: {
+    type: String,
+    enum: VOTE_VALUES,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+reportVoteSchema.index({ report: 1, user: 1 }, { unique: true });
+
+export { VOTE_VALUES };
+export default mongoose.model("ReportVote", reportVoteSchema);
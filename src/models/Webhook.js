@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+import { SEVERITY_LEVELS } from "./FloodReport.js";
+
+const WEBHOOK_EVENTS = ["report.created", "report.status_changed"];
+
+// Partner endpoint that receives signed report events
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+  },
+  // HMAC key shared with the partner; only returned on create and rotate
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS,
+    }],
+    default: WEBHOOK_EVENTS,
+  },
+  // Empty means every severity
+  severities: [{
+    type: String,
+    enum: SEVERITY_LEVELS,
+  }],
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: String,
+    required: true,
+  },
+  lastDeliveryAt: {
+    type: Date,
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ["success", "failed"],
+  },
+}, {
+  timestamps: true,
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+export { WEBHOOK_EVENTS };
+export default mongoose.model("Webhook", webhookSchema);
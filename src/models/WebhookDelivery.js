@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+const DELIVERY_STATUSES = ["pending", "success", "failed"];
+
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    required: true,
+  },
+  statusCode: {
+    type: Number,
+  },
+  error: {
+    type: String,
+    maxlength: 500,
+  },
+  durationMs: {
+    type: Number,
+  },
+}, { _id: false });
+
+// One event sent to one webhook, with every attempt made to deliver it
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Webhook",
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "FloodReport",
+  },
+  // Exact JSON body that gets signed, so retries send identical bytes
+  payload: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: "pending",
+  },
+  attemptCount: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+  },
+  attempts: [attemptSchema],
+  deliveredAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+export { DELIVERY_STATUSES };
+export default mongoose.model("WebhookDelivery", webhookDeliverySchema);
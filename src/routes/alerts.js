@@ -0,0 +1,239 @@
+import express from "express";
+import { body, param } from "express-validator";
+import AlertSubscription, { MAX_ALERT_RADIUS } from "../models/AlertSubscription.js";
+import { SEVERITY_LEVELS } from "../models/FloodReport.js";
+import { auth } from "../middleware/auth.js";
+import { handleValidationErrors } from "../middleware/validation.js";
+import { isValidPolygon, isValidPosition } from "../utils/geo.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+const MAX_SUBSCRIPTIONS_PER_USER = 10;
+
+// Fields a user may set on their own subscriptions
+const EDITABLE_FIELDS = ["name", "area", "radius", "minSeverity", "throttleMinutes", "active"];
+
+// area is GeoJSON: a Point (with radius) or a Polygon
+const areaValidation = (optional) => {
+  const chain = body("area");
+  return (optional ? chain.optional() : chain).custom((area, { req }) => {
+    if (area?.type === "Point") {
+      if (!isValidPosition(area.coordinates)) throw new Error("Point coordinates must be [lng, lat]");
+      if (req.body.radius === undefined) throw new Error("radius is required for Point areas");
+      return true;
+    }
+    if (area?.type === "Polygon") {
+      if (!isValidPolygon(area.coordinates)) throw new Error("Polygon must be a single closed ring of [lng, lat] positions");
+      return true;
+    }
+    throw new Error("area must be a GeoJSON Point or Polygon");
+  });
+};
+
+const subscriptionValidation = (optional = false) => [
+  (optional ? body("name").optional() : body("name"))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name of up to 100 characters is required"),
+  areaValidation(optional),
+  body("radius")
+    .optional()
+    .isInt({ min: 1, max: MAX_ALERT_RADIUS })
+    .withMessage(`Radius must be between 1 and ${MAX_ALERT_RADIUS} metres`),
+  body("minSeverity").optional().isIn(SEVERITY_LEVELS).withMessage("Invalid severity level"),
+  body("throttleMinutes")
+    .optional()
+    .isInt({ min: 5, max: 1440 })
+    .withMessage("throttleMinutes must be between 5 and 1440"),
+  body("active").optional().isBoolean().withMessage("active must be true or false"),
+  handleValidationErrors,
+];
+
+const idValidation = [
+  param("id").isMongoId().withMessage("Invalid subscription id"),
+  handleValidationErrors,
+];
+
+const pickEditable = (source) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+// MongoDB rejects self-intersecting polygons when building the 2dsphere key
+const isGeoKeyError = (error) => error.code === 16755 || /geo keys/i.test(error.message || "");
+
+// All alert routes require an account
+router.use(auth);
+
+// List my alert subscriptions
+router.get("/subscriptions", async (req, res) => {
+  try {
+    const subscriptions = await AlertSubscription.find({ user: req.userId })
+      .sort({ createdAt: -1 })
+      .select("-__v");
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      count: subscriptions.length,
+    });
+  } catch (error) {
+    logger.error("Error fetching alert subscriptions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch alert subscriptions",
+    });
+  }
+});
+
+// Create an alert subscription
+router.post("/subscriptions", subscriptionValidation(), async (req, res) => {
+  try {
+    const existing = await AlertSubscription.countDocuments({ user: req.userId });
+    if (existing >= MAX_SUBSCRIPTIONS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_SUBSCRIPTIONS_PER_USER} alert subscriptions`,
+      });
+    }
+
+    const fields = pickEditable(req.body);
+    if (fields.area.type === "Polygon") delete fields.radius;
+
+    const subscription = await AlertSubscription.create({
+      ...fields,
+      user: req.userId,
+    });
+
+    logger.info("Alert subscription created", {
+      subscriptionId: subscription._id,
+      userId: req.userId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Alert subscription created",
+      data: subscription,
+    });
+  } catch (error) {
+    if (isGeoKeyError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid watch area polygon",
+      });
+    }
+
+    logger.error("Error creating alert subscription:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create alert subscription",
+    });
+  }
+});
+
+// Get one of my alert subscriptions
+router.get("/subscriptions/:id", idValidation, async (req, res) => {
+  try {
+    const subscription = await AlertSubscription.findOne({ _id: req.params.id, user: req.userId })
+      .select("-__v");
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert subscription not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: subscription,
+    });
+  } catch (error) {
+    logger.error("Error fetching alert subscription:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch alert subscription",
+    });
+  }
+});
+
+// Update one of my alert subscriptions
+router.patch("/subscriptions/:id", idValidation, subscriptionValidation(true), async (req, res) => {
+  try {
+    const subscription = await AlertSubscription.findOne({ _id: req.params.id, user: req.userId });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert subscription not found",
+      });
+    }
+
+    subscription.set(pickEditable(req.body));
+
+    if (subscription.area.type === "Point" && !subscription.radius) {
+      return res.status(400).json({
+        success: false,
+        message: "radius is required for Point areas",
+      });
+    }
+    if (subscription.area.type === "Polygon") {
+      subscription.radius = undefined;
+    }
+
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: "Alert subscription updated",
+      data: subscription,
+    });
+  } catch (error) {
+    if (isGeoKeyError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid watch area polygon",
+      });
+    }
+
+    logger.error("Error updating alert subscription:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update alert subscription",
+    });
+  }
+});
+
+// Delete one of my alert subscriptions
+router.delete("/subscriptions/:id", idValidation, async (req, res) => {
+  try {
+    const subscription = await AlertSubscription.findOneAndDelete({ _id: req.params.id, user: req.userId });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert subscription not found",
+      });
+    }
+
+    logger.info("Alert subscription deleted", {
+      subscriptionId: subscription._id,
+      userId: req.userId,
+    });
+
+    res.json({
+      success: true,
+      message: "Alert subscription deleted",
+    });
+  } catch (error) {
+    logger.error("Error deleting alert subscription:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete alert subscription",
+    });
+  }
+});
+
+export { router as alertRoutes };
@@ -1,22 +1,557 @@
 import express from "express";
-import { body, validationResult } from "express-validator";
-import FloodReport from "../models/FloodReport.js";
-import { auth } from "../middleware/auth.js"; // Use 'auth' instead of 'authenticateToken'
+import { once } from "events";
+import { body, checkExact, header, query, validationResult } from "express-validator";
+import FloodReport, { SEVERITY_LEVELS, REPORT_STATUSES } from "../models/FloodReport.js";
+import ReportVote from "../models/ReportVote.js";
+import ReportRevision from "../models/ReportRevision.js";
+import ReportUpdate from "../models/ReportUpdate.js";
+import config from "../config/config.js";
+import { auth, requireRole } from "../middleware/auth.js"; // Use 'auth' instead of 'authenticateToken'
+import { handleValidationErrors } from "../middleware/validation.js";
+import { uploadPhotos } from "../middleware/upload.js";
+import { anonymousReportIpLimiter, anonymousReportDeviceLimiter } from "../middleware/security.js";
+import { storePhotos, deletePhoto, photoStorageKey } from "../services/photoService.js";
+import { getStorage } from "../services/storage/index.js";
+import { snapshotReport, recordRevision } from "../services/reportHistory.js";
+import { findPossibleDuplicates, mergeReports } from "../services/duplicateService.js";
+import { reactivateStaleReport } from "../services/reportLifecycle.js";
+import { SYSTEM_ROLES, actorRoles, applyStatusTransition } from "../services/reportStatus.js";
+import reportEvents from "../services/reportEvents.js";
+import { GROUP_FIELDS as STATS_GROUP_FIELDS, getReportTimeseries } from "../services/reportStats.js";
+import { issueChallenge, verifyChallenge, fingerprint } from "../services/proofOfWork.js";
+import { describeLocation } from "../services/geocodingService.js";
+import { PSGC_CODE_PATTERN, PSGC_FILTER_FIELDS, resolvePsgcCode, locatePsgc, buildPsgcFilter } from "../services/psgcService.js";
+import { decodeCursor, findPage } from "../utils/cursorPagination.js";
+import {
+  SORT_FIELDS,
+  RELEVANCE_SORT,
+  MAX_SORT_KEYS,
+  SELECTABLE_FIELDS,
+  parseSeverities,
+  parseSort,
+  parseFields,
+} from "../utils/reportQuery.js";
+import { toGeoPoint, parseBbox, bboxToPolygon, pointInBbox } from "../utils/geo.js";
+import { EXPORT_FORMATS, getExportFormat } from "../utils/reportExport.js";
+import {
+  WATER_LEVEL_REFERENCE_NAMES,
+  MAX_WATER_DEPTH_CM,
+  hasWaterLevel,
+  normalizeWaterLevel,
+  deriveSeverity,
+} from "../utils/waterLevel.js";
 import logger from "../utils/logger.js";
 
 const router = express.Router();
 
+// Radius search limits (metres)
+const DEFAULT_NEAR_RADIUS = 1000;
+const MAX_NEAR_RADIUS = 50000;
+const MAX_NEAR_RESULTS = 200;
+
+// Viewport (bbox) query limits
+const DEFAULT_WITHIN_RESULTS = 500;
+const MAX_WITHIN_RESULTS = 1000;
+
+// Largest page of a report listing, in page and cursor mode
+const MAX_PAGE_SIZE = 100;
+
+// Live feed keep-alive, below common proxy idle timeouts
+const STREAM_HEARTBEAT_MS = 25000;
+
+// Clustering grid: cells per 256px map tile, and the supported zoom range
+const CLUSTER_CELLS_PER_TILE = 4;
+const MAX_CLUSTER_ZOOM = 20;
+// Most grid cells a bbox may span at the requested zoom
+const MAX_CLUSTER_CELLS = 10000;
+
+// Grid is anchored at -180/-90 so cells stay put while the map pans
+const clusterCellSize = (zoom) => 360 / (Math.pow(2, zoom) * CLUSTER_CELLS_PER_TILE);
+
+// Number of grid cells a bbox touches at a cell size
+const countClusterCells = ([minLng, minLat, maxLng, maxLat], cellSize) => {
+  const columns = Math.floor((maxLng + 180) / cellSize) - Math.floor((minLng + 180) / cellSize) + 1;
+  const rows = Math.floor((maxLat + 90) / cellSize) - Math.floor((minLat + 90) / cellSize) + 1;
+  return columns * rows;
+};
+
+// Build the severity/status/depth/verified/date range/PSGC area filter shared
+// by the list-style routes. Reports merged into another one or deleted are
+// always left out, and so are anonymous reports nobody has confirmed yet (low
+// trust; moderators see them in the moderation queue). Archived reports are
+// left out unless asked for with status=archived, and stale reports unless
+// asked for with status=stale or includeStale=true.
+const buildReportFilter = (params) => {
+  const { severity, status, minDepth, maxDepth, includeStale, verified, from, to } = params;
+  const filter = { mergedInto: null, deletedAt: null, trustLevel: { $ne: "low" }, ...buildPsgcFilter(params) };
+  if (verified === "true") filter.verified = true;
+  else if (verified === "false") filter.verified = false;
+  const severities = parseSeverities(severity);
+  if (severities) filter.severity = severities.length === 1 ? severities[0] : { $in: severities };
+  if (typeof status === "string" && status) {
+    filter.status = status;
+  } else if (includeStale === "true") {
+    filter.status = { $ne: "archived" };
+  } else {
+    filter.status = { $nin: ["stale", "archived"] };
+  }
+
+  const depth = {};
+  if (Number.isFinite(parseFloat(minDepth))) depth.$gte = parseFloat(minDepth);
+  if (Number.isFinite(parseFloat(maxDepth))) depth.$lte = parseFloat(maxDepth);
+  if (Object.keys(depth).length > 0) filter["waterLevel.depthCm"] = depth;
+
+  const createdAt = {};
+  if (typeof from === "string" && from) createdAt.$gte = new Date(from);
+  if (typeof to === "string" && to) createdAt.$lt = new Date(to);
+  if (Object.keys(createdAt).length > 0) filter.createdAt = createdAt;
+
+  return filter;
+};
+
+// buildReportFilter plus the reporter and free text (location text index)
+// filters taken by the list and export routes
+const buildListFilter = (params) => {
+  const { reportedBy, q } = params;
+  const filter = buildReportFilter(params);
+  if (typeof reportedBy === "string" && reportedBy) filter.reportedBy = reportedBy;
+  if (typeof q === "string" && q) filter.$text = { $search: q };
+  return filter;
+};
+
+const isCursorMode = (params) => Boolean(params.cursor) || params.pagination === "cursor";
+
+// Respond with one page of reports, newest first unless a sort is given (page
+// mode only). Cursor mode (pagination=cursor, or any cursor param) returns
+// next/prev cursors and only counts matching reports when includeTotal=true.
+// Page mode keeps the original page/totalPages response.
+const sendReportPage = async (req, res, filter, defaultLimit, { sort, fields } = {}) => {
+  const { cursor, includeTotal } = req.query;
+  const limit = parseInt(req.query.limit) || defaultLimit;
+
+  if (isCursorMode(req.query)) {
+    // Cursors are built from createdAt, so it is always selected
+    const projection = fields ? `${fields} createdAt` : "-__v";
+    const page = await findPage(FloodReport.find(filter).select(projection), {
+      cursor: cursor ? decodeCursor(cursor) : null,
+      limit: Math.min(limit, MAX_PAGE_SIZE),
+    });
+    const total = includeTotal === "true" ? await FloodReport.countDocuments(filter) : undefined;
+
+    return res.json({
+      success: true,
+      data: page.items,
+      count: page.items.length,
+      total,
+      next: page.next,
+      prev: page.prev,
+    });
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const skip = (page - 1) * limit;
+
+  const reports = await FloodReport.find(filter)
+    .sort(sort || { createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .select(fields || "-__v");
+
+  const total = includeTotal === "false" ? undefined : await FloodReport.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: reports,
+    count: reports.length,
+    total,
+    page,
+    totalPages: total === undefined ? undefined : Math.ceil(total / limit),
+  });
+};
+
 // Validation rules
+
+// Filter params are single strings. Repeated params (arrays) and bracket
+// syntax such as severity[$ne]=light (objects) are rejected here, so query
+// operators never reach Mongo.
+const queryParam = (param) => query(param)
+  .optional()
+  .isString()
+  .withMessage(`${param} must be given once, as plain text`)
+  .bail();
+
+// Rejects query params a route doesn't validate, when used with checkExact
+const unknownQueryParams = (fields) => `Unknown query parameter(s): ${fields.map((field) => field.path).join(", ")}`;
+
+// PSGC area, severity and status: the filters statistics support as well
+const coreFilterValidation = [
+  ...Object.keys(PSGC_FILTER_FIELDS).map((param) => queryParam(param)
+    .matches(PSGC_CODE_PATTERN)
+    .withMessage(`${param} must be a 10-digit PSGC code`)),
+  queryParam("severity")
+    .custom((value) => parseSeverities(value) !== null)
+    .withMessage(`severity must be one or more of: ${SEVERITY_LEVELS.join(", ")}`),
+  queryParam("status").isIn(REPORT_STATUSES).withMessage(`status must be one of: ${REPORT_STATUSES.join(", ")}`),
+];
+
+const reportFilterValidation = [
+  ...coreFilterValidation,
+  queryParam("minDepth").isFloat({ min: 0 }).withMessage("minDepth must be a non-negative number"),
+  queryParam("maxDepth").isFloat({ min: 0 }).withMessage("maxDepth must be a non-negative number"),
+  queryParam("includeStale").isBoolean().withMessage("includeStale must be true or false"),
+  queryParam("verified").isBoolean().withMessage("verified must be true or false"),
+];
+
+// Report creation time range; "to" is exclusive
+const dateRangeValidation = [
+  queryParam("from").isISO8601().withMessage("from must be an ISO 8601 date"),
+  queryParam("to")
+    .isISO8601()
+    .withMessage("to must be an ISO 8601 date")
+    .bail()
+    .custom((value, { req }) => !req.query.from || new Date(req.query.from) < new Date(value))
+    .withMessage('"from" must be before "to"'),
+];
+
+const paginationValidation = [
+  queryParam("pagination").isIn(["page", "cursor"]).withMessage("pagination must be page or cursor"),
+  queryParam("cursor")
+    .custom((value) => decodeCursor(value) !== null)
+    .withMessage("Invalid cursor"),
+  queryParam("includeTotal").isBoolean().withMessage("includeTotal must be true or false"),
+  queryParam("limit")
+    .isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+  queryParam("page").isInt({ min: 1 }).withMessage("Page must be a positive number"),
+];
+
+// Reporter and free text filters, shared by the list and export
+const searchFilterValidation = [
+  queryParam("reportedBy")
+    .custom((value) => value === "anonymous" || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage("reportedBy must be a user ID or anonymous"),
+  queryParam("q")
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage("q must be 2 to 200 characters"),
+];
+
+// List-only params: sort order and sparse fieldsets
+const listQueryValidation = [
+  queryParam("sort")
+    .custom((value, { req }) => parseSort(value, { textSearch: Boolean(req.query.q) }) !== null)
+    .withMessage(
+      `sort takes up to ${MAX_SORT_KEYS} of: ${Object.keys(SORT_FIELDS).join(", ")}, ` +
+      `each optionally prefixed with - for descending, or ${RELEVANCE_SORT} together with q`
+    )
+    .bail()
+    .custom((value, { req }) => !isCursorMode(req.query) || value === "-createdAt")
+    .withMessage("Cursor pagination only supports sort=-createdAt"),
+  queryParam("fields")
+    .custom((value) => parseFields(value) !== null)
+    .withMessage(`fields must be a comma-separated list of: ${SELECTABLE_FIELDS.join(", ")}`),
+];
+
+// Unknown query params are rejected rather than silently ignored
+const listValidation = [
+  checkExact([
+    ...reportFilterValidation,
+    ...dateRangeValidation,
+    ...searchFilterValidation,
+    ...paginationValidation,
+    ...listQueryValidation,
+  ], {
+    locations: ["query"],
+    message: unknownQueryParams,
+  }),
+  handleValidationErrors,
+];
+
+const myReportsValidation = [
+  ...paginationValidation,
+  handleValidationErrors,
+];
+
 const reportValidation = [
-  body("severity").isIn(["light", "moderate", "severe"]).withMessage("Invalid severity level"),
-  body("location").notEmpty().withMessage("Location is required"),
+  body("severity").custom((value, { req }) => {
+    // Severity may be omitted when it can be derived from the water level
+    const missing = value === undefined || value === "";
+    if (missing && hasWaterLevel(req.body.waterLevel)) return true;
+    if (missing) throw new Error("Severity or water level is required");
+    if (!SEVERITY_LEVELS.includes(value)) throw new Error("Invalid severity level");
+    return true;
+  }),
+  body("waterLevel.depthCm")
+    .optional({ values: "falsy" })
+    .isFloat({ min: 0, max: MAX_WATER_DEPTH_CM })
+    .withMessage(`Water depth must be between 0 and ${MAX_WATER_DEPTH_CM} cm`),
+  body("waterLevel.reference")
+    .optional({ values: "falsy" })
+    .isIn(WATER_LEVEL_REFERENCE_NAMES)
+    .withMessage(`Water level must be one of: ${WATER_LEVEL_REFERENCE_NAMES.join(", ")}`),
+  body("location").custom((value, { req }) => {
+    // Location may be omitted when coordinates are given; it's reverse geocoded
+    const missing = value === undefined || String(value).trim() === "";
+    if (missing && !toGeoPoint(req.body.latitude, req.body.longitude)) {
+      throw new Error("Location or coordinates are required");
+    }
+    return true;
+  }),
   body("description").optional().isLength({ max: 1000 }).withMessage("Description too long"),
   body("latitude").optional().isFloat({ min: -90, max: 90 }).withMessage("Invalid latitude"),
   body("longitude").optional().isFloat({ min: -180, max: 180 }).withMessage("Invalid longitude"),
+  body("psgcCode")
+    .optional({ values: "falsy" })
+    .matches(PSGC_CODE_PATTERN)
+    .withMessage("psgcCode must be a 10-digit PSGC code"),
 ];
 
-// Submit flood report - PROTECTED ROUTE
-router.post("/submit", auth, reportValidation, async (req, res) => {
+const anonymousDeviceValidation = [
+  header("x-device-id")
+    .matches(/^[A-Za-z0-9_-]{8,128}$/)
+    .withMessage("X-Device-Id header of 8 to 128 letters, digits, - or _ is required"),
+  handleValidationErrors,
+];
+
+const anonymousReportValidation = [
+  ...reportValidation,
+  body("challenge").isString().withMessage("challenge is required"),
+  body("nonce").isString().withMessage("nonce is required"),
+];
+
+const nearValidation = [
+  query("lat").isFloat({ min: -90, max: 90 }).withMessage("Invalid latitude"),
+  query("lng").isFloat({ min: -180, max: 180 }).withMessage("Invalid longitude"),
+  query("radius")
+    .optional()
+    .isInt({ min: 1, max: MAX_NEAR_RADIUS })
+    .withMessage(`Radius must be between 1 and ${MAX_NEAR_RADIUS} metres`),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_NEAR_RESULTS })
+    .withMessage(`Limit must be between 1 and ${MAX_NEAR_RESULTS}`),
+  ...reportFilterValidation,
+  ...dateRangeValidation,
+  handleValidationErrors,
+];
+
+const withinValidation = [
+  query("bbox")
+    .custom((value) => parseBbox(value) !== null)
+    .withMessage("bbox must be minLng,minLat,maxLng,maxLat"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_WITHIN_RESULTS })
+    .withMessage(`Limit must be between 1 and ${MAX_WITHIN_RESULTS}`),
+  ...reportFilterValidation,
+  ...dateRangeValidation,
+  handleValidationErrors,
+];
+
+const clusterValidation = [
+  query("bbox")
+    .custom((value) => parseBbox(value) !== null)
+    .withMessage("bbox must be minLng,minLat,maxLng,maxLat"),
+  query("zoom")
+    .isInt({ min: 0, max: MAX_CLUSTER_ZOOM })
+    .withMessage(`Zoom must be between 0 and ${MAX_CLUSTER_ZOOM}`)
+    .bail()
+    .custom((value, { req }) => {
+      const bbox = parseBbox(req.query.bbox);
+      return !bbox || countClusterCells(bbox, clusterCellSize(parseInt(value))) <= MAX_CLUSTER_CELLS;
+    })
+    .withMessage(`bbox spans more than ${MAX_CLUSTER_CELLS} cells at this zoom; zoom out or narrow the bbox`),
+  ...reportFilterValidation,
+  ...dateRangeValidation,
+  handleValidationErrors,
+];
+
+const exportValidation = [
+  query("format")
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+  ...reportFilterValidation,
+  ...dateRangeValidation,
+  ...searchFilterValidation,
+  handleValidationErrors,
+];
+
+const moderationValidation = [
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("A reason of up to 500 characters is required"),
+  handleValidationErrors,
+];
+
+const moderationQueueValidation = [
+  queryParam("bbox")
+    .custom((value) => parseBbox(value) !== null)
+    .withMessage("bbox must be minLng,minLat,maxLng,maxLat"),
+  queryParam("severity")
+    .custom((value) => parseSeverities(value) !== null)
+    .withMessage(`severity must be one or more of: ${SEVERITY_LEVELS.join(", ")}`),
+  queryParam("flagged").isBoolean().withMessage("flagged must be true or false"),
+  queryParam("limit").isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+  queryParam("page").isInt({ min: 1 }).withMessage("Page must be a positive number"),
+  handleValidationErrors,
+];
+
+const pageValidation = [
+  queryParam("limit").isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+  queryParam("page").isInt({ min: 1 }).withMessage("Page must be a positive number"),
+  handleValidationErrors,
+];
+
+const reportUpdateValidation = [
+  body("text")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage("Update text of up to 1000 characters is required"),
+  body("severity")
+    .optional({ values: "falsy" })
+    .isIn(SEVERITY_LEVELS)
+    .withMessage("Invalid severity level"),
+  body("waterLevel.depthCm")
+    .optional({ values: "falsy" })
+    .isFloat({ min: 0, max: MAX_WATER_DEPTH_CM })
+    .withMessage(`Water depth must be between 0 and ${MAX_WATER_DEPTH_CM} cm`),
+  body("waterLevel.reference")
+    .optional({ values: "falsy" })
+    .isIn(WATER_LEVEL_REFERENCE_NAMES)
+    .withMessage(`Water level must be one of: ${WATER_LEVEL_REFERENCE_NAMES.join(", ")}`),
+  handleValidationErrors,
+];
+
+// Owners may correct what they reported; anything else in the body is rejected
+const editValidation = [
+  checkExact([
+    body("severity").optional().isIn(SEVERITY_LEVELS).withMessage("Invalid severity level"),
+    body("description")
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage("Description too long"),
+    body("location")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage("Location must be 1 to 500 characters"),
+    body("latitude")
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Invalid latitude")
+      .bail()
+      .custom((value, { req }) => req.body.longitude !== undefined)
+      .withMessage("latitude and longitude must be changed together"),
+    body("longitude")
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Invalid longitude")
+      .bail()
+      .custom((value, { req }) => req.body.latitude !== undefined)
+      .withMessage("latitude and longitude must be changed together"),
+    body("reason").optional().isString().isLength({ max: 500 }).withMessage("Reason too long"),
+  ], {
+    locations: ["body"],
+    message: (fields) => `These fields cannot be edited: ${fields.map((field) => field.path).join(", ")}`,
+  }),
+  handleValidationErrors,
+];
+
+const deleteValidation = [
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("A reason of up to 500 characters is required"),
+  handleValidationErrors,
+];
+
+const deletedListValidation = [
+  ...paginationValidation,
+  handleValidationErrors,
+];
+
+const mergeValidation = [
+  body("duplicateIds")
+    .isArray({ min: 1, max: 50 })
+    .withMessage("duplicateIds must be a list of 1 to 50 report ids"),
+  body("duplicateIds.*").isMongoId().withMessage("Invalid report id"),
+  body("reason").optional().isString().isLength({ max: 500 }).withMessage("Reason too long"),
+  handleValidationErrors,
+];
+
+// Respond 409 for reports that have been merged into another report
+const rejectMerged = (report, res) => {
+  if (!report.mergedInto) return false;
+  res.status(409).json({
+    success: false,
+    message: "This report has been merged into another report",
+    mergedInto: report.mergedInto,
+  });
+  return true;
+};
+
+// Respond 403 unless the user is an admin, or the reporter within the edit window
+const rejectUnlessEditable = (report, req, res, action) => {
+  if (req.user.role === "admin") return false;
+
+  if (report.reportedBy !== req.userId) {
+    res.status(403).json({
+      success: false,
+      message: `Not authorized to ${action} this report`,
+    });
+    return true;
+  }
+
+  if (Date.now() - report.createdAt.getTime() > config.reports.editWindowMs) {
+    res.status(403).json({
+      success: false,
+      message: `The ${config.reports.editWindowMs / 60000}-minute edit window for this report has closed`,
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Respond with an error thrown by applyStatusTransition
+const sendTransitionError = (error, res) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  allowedStatuses: error.allowedStatuses,
+});
+
+const statusValidation = [
+  body("status")
+    .isIn(REPORT_STATUSES)
+    .withMessage(`status must be one of: ${REPORT_STATUSES.join(", ")}`),
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("A reason of up to 500 characters is required"),
+  handleValidationErrors,
+];
+
+const streamValidation = [
+  query("bbox")
+    .optional()
+    .custom((value) => parseBbox(value) !== null)
+    .withMessage("bbox must be minLng,minLat,maxLng,maxLat"),
+  query("severity")
+    .optional()
+    .custom((value) => typeof value === "string" && value.split(",").every((level) => SEVERITY_LEVELS.includes(level)))
+    .withMessage(`Severity must be a comma separated list of: ${SEVERITY_LEVELS.join(", ")}`),
+  handleValidationErrors,
+];
+
+// Create a flood report, from a signed-in user or anonymously
+const submitHandler = ({ anonymous }) => async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -28,34 +563,106 @@ router.post("/submit", auth, reportValidation, async (req, res) => {
       });
     }
 
-    const { severity, location, description, latitude, longitude } = req.body;
+    if (anonymous) {
+      await verifyChallenge(req.body.challenge, req.body.nonce);
+    }
+
+    const reporter = anonymous ? "anonymous" : req.userId; // Use the standardized userId from auth middleware
+    const reporterRole = anonymous ? "anonymous" : req.user.role;
+
+    const { description, latitude, longitude } = req.body;
+    const waterLevel = normalizeWaterLevel(req.body.waterLevel);
+    const severity = req.body.severity || deriveSeverity(waterLevel?.depthCm);
+    const point = toGeoPoint(latitude, longitude);
+
+    const location = String(req.body.location ?? "").trim() || await describeLocation(point);
+    if (!location) {
+      return res.status(400).json({
+        success: false,
+        message: "Location could not be determined from the coordinates, please describe it",
+      });
+    }
 
     // Create new flood report with user info
     const floodReport = new FloodReport({
       severity,
+      waterLevel,
       location,
       description,
       latitude,
       longitude,
-      reportedBy: req.userId, // Use the standardized userId from auth middleware
-      status: "active",
+      reportedBy: reporter,
+      // Anonymous reports wait for a moderator or a registered user's confirmation
+      status: anonymous ? "submitted" : "active",
+    });
+
+    if (anonymous) {
+      floodReport.set({
+        anonymous: true,
+        trustLevel: "low",
+        submitterIpHash: fingerprint(req.ip),
+        submitterDeviceHash: fingerprint(req.get("X-Device-Id")),
+      });
+    }
+
+    // Administrative area: a submitted PSGC code wins over the coordinates
+    floodReport.psgc = req.body.psgcCode
+      ? await resolvePsgcCode(req.body.psgcCode)
+      : await locatePsgc(point) || undefined;
+
+    const photos = await storePhotos(req.files, {
+      reportId: floodReport._id.toString(),
+      uploadedBy: reporter,
     });
+    floodReport.photos = photos;
+
+    let possibleDuplicates;
+    try {
+      // Link to the closest recent report nearby; the client can offer to confirm it instead
+      possibleDuplicates = await findPossibleDuplicates(point);
+      if (possibleDuplicates.length > 0) {
+        floodReport.duplicateOf = possibleDuplicates[0]._id;
+      }
+
+      await floodReport.save();
+    } catch (error) {
+      // Don't leave orphaned files behind when the report wasn't saved
+      await Promise.all(photos.map((photo) => deletePhoto(floodReport._id, photo)));
+      throw error;
+    }
 
-    await floodReport.save();
+    await recordRevision(floodReport, {}, {
+      action: "create",
+      actor: reporter,
+      actorRole: reporterRole,
+    });
 
     logger.info("New flood report submitted", {
       reportId: floodReport._id,
       location,
       severity,
-      userId: req.userId,
+      photos: photos.length,
+      duplicateOf: floodReport.duplicateOf,
+      userId: reporter,
+      anonymous,
     });
 
+    reportEvents.publish("created", floodReport);
+
     res.status(201).json({
       success: true,
       message: "Flood report submitted successfully",
       data: floodReport,
+      possibleDuplicates,
     });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     logger.error("Error submitting flood report:", error);
     res.status(500).json({
       success: false,
@@ -63,37 +670,126 @@ router.post("/submit", auth, reportValidation, async (req, res) => {
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
+};
+
+// Statistics count every report in the range, so list-only filters such as
+// verified or includeStale are rejected rather than silently ignored
+const statsValidation = [
+  checkExact([
+    queryParam("bucket").isIn(["hour", "day"]).withMessage("bucket must be hour or day"),
+    queryParam("groupBy")
+      .isIn(Object.keys(STATS_GROUP_FIELDS))
+      .withMessage(`groupBy must be one of: ${Object.keys(STATS_GROUP_FIELDS).join(", ")}`),
+    ...dateRangeValidation,
+    ...coreFilterValidation,
+  ], {
+    locations: ["query"],
+    message: unknownQueryParams,
+  }),
+  handleValidationErrors,
+];
+
+// Submit flood report - PROTECTED ROUTE
+// Accepts JSON, or multipart/form-data with images in the "photos" field
+router.post("/submit", auth, uploadPhotos("photos"), reportValidation, submitHandler({ anonymous: false }));
+
+// Proof-of-work challenge for an anonymous report - PUBLIC ROUTE
+router.get("/anonymous/challenge", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({
+    success: true,
+    data: issueChallenge(),
+  });
 });
 
+// Submit flood report without an account - PUBLIC ROUTE
+// Needs a solved challenge and an X-Device-Id header; stricter rate limits,
+// at most one photo, and the report starts as submitted at low trust
+router.post(
+  "/anonymous",
+  anonymousReportIpLimiter,
+  anonymousDeviceValidation,
+  anonymousReportDeviceLimiter,
+  uploadPhotos("photos", 1),
+  anonymousReportValidation,
+  submitHandler({ anonymous: true })
+);
+
 // Get all flood reports - PUBLIC ROUTE (can be accessed without auth)
-router.get("/", async (req, res) => {
+router.get("/", listValidation, async (req, res) => {
   try {
-    const { severity, status, limit = 50, page = 1 } = req.query;
-    
-    let filter = {};
-    if (severity) filter.severity = severity;
-    if (status) filter.status = status;
+    await sendReportPage(req, res, buildListFilter(req.query), 50, {
+      sort: req.query.sort ? parseSort(req.query.sort, { textSearch: Boolean(req.query.q) }) : undefined,
+      fields: req.query.fields ? parseFields(req.query.fields) : undefined,
+    });
+  } catch (error) {
+    logger.error("Error fetching flood reports:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch flood reports",
+    });
+  }
+});
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+// Get flood reports near a point, closest first - PUBLIC ROUTE
+router.get("/near", nearValidation, async (req, res) => {
+  try {
+    const { lat, lng, radius = DEFAULT_NEAR_RADIUS, limit = 50 } = req.query;
+
+    const reports = await FloodReport.aggregate([
+      {
+        $geoNear: {
+          near: toGeoPoint(lat, lng),
+          key: "geo",
+          distanceField: "distance", // metres from the requested point
+          maxDistance: parseInt(radius),
+          spherical: true,
+          query: buildReportFilter(req.query),
+        },
+      },
+      { $limit: parseInt(limit) },
+      { $project: { __v: 0, submitterIpHash: 0, submitterDeviceHash: 0 } },
+    ]);
+
+    res.json({
+      success: true,
+      data: reports,
+      count: reports.length,
+      radius: parseInt(radius),
+    });
+  } catch (error) {
+    logger.error("Error fetching nearby flood reports:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch nearby flood reports",
+    });
+  }
+});
+
+// Get flood reports inside a map viewport - PUBLIC ROUTE
+router.get("/within", withinValidation, async (req, res) => {
+  try {
+    const { bbox, limit = DEFAULT_WITHIN_RESULTS } = req.query;
+
+    const filter = {
+      ...buildReportFilter(req.query),
+      geo: { $geoWithin: { $geometry: bboxToPolygon(parseBbox(bbox)) } },
+    };
 
     const reports = await FloodReport.find(filter)
       .sort({ createdAt: -1 })
-      .skip(skip)
       .limit(parseInt(limit))
       .select("-__v");
 
-    const total = await FloodReport.countDocuments(filter);
-
     res.json({
       success: true,
       data: reports,
       count: reports.length,
-      total,
-      page: parseInt(page),
-      totalPages: Math.ceil(total / parseInt(limit)),
+      limit: parseInt(limit),
+      truncated: reports.length === parseInt(limit),
     });
   } catch (error) {
-    logger.error("Error fetching flood reports:", error);
+    logger.error("Error fetching flood reports in viewport:", error);
     res.status(500).json({
       success: false,
       message: "Failed to fetch flood reports",
@@ -101,77 +797,276 @@ router.get("/", async (req, res) => {
   }
 });
 
-// Get single flood report by ID - PUBLIC ROUTE
-router.get("/:id", async (req, res) => {
+// Get flood reports aggregated into grid cells for a zoom level - PUBLIC ROUTE
+router.get("/clusters", clusterValidation, async (req, res) => {
   try {
-    const report = await FloodReport.findById(req.params.id);
-    
-    if (!report) {
-      return res.status(404).json({
-        success: false,
-        message: "Flood report not found",
-      });
-    }
+    const zoom = parseInt(req.query.zoom);
+    const bbox = parseBbox(req.query.bbox);
+
+    const cellSize = clusterCellSize(zoom);
+
+    const filter = {
+      ...buildReportFilter(req.query),
+      geo: { $geoWithin: { $geometry: bboxToPolygon(bbox) } },
+    };
+
+    const cells = await FloodReport.aggregate([
+      { $match: filter },
+      {
+        $project: {
+          createdAt: 1,
+          severityRank: { $indexOfArray: [SEVERITY_LEVELS, "$severity"] },
+          lng: { $arrayElemAt: ["$geo.coordinates", 0] },
+          lat: { $arrayElemAt: ["$geo.coordinates", 1] },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            x: { $floor: { $divide: [{ $add: ["$lng", 180] }, cellSize] } },
+            y: { $floor: { $divide: [{ $add: ["$lat", 90] }, cellSize] } },
+          },
+          count: { $sum: 1 },
+          maxSeverityRank: { $max: "$severityRank" },
+          latestCreatedAt: { $max: "$createdAt" },
+          lng: { $avg: "$lng" },
+          lat: { $avg: "$lat" },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          cell: "$_id",
+          count: 1,
+          worstSeverity: { $arrayElemAt: [SEVERITY_LEVELS, "$maxSeverityRank"] },
+          latestCreatedAt: 1,
+          centroid: ["$lng", "$lat"],
+          bbox: [
+            { $subtract: [{ $multiply: ["$_id.x", cellSize] }, 180] },
+            { $subtract: [{ $multiply: ["$_id.y", cellSize] }, 90] },
+            { $subtract: [{ $multiply: [{ $add: ["$_id.x", 1] }, cellSize] }, 180] },
+            { $subtract: [{ $multiply: [{ $add: ["$_id.y", 1] }, cellSize] }, 90] },
+          ],
+        },
+      },
+      { $sort: { count: -1 } },
+    ]);
 
     res.json({
       success: true,
-      data: report,
+      data: cells,
+      count: cells.length,
+      zoom,
+      cellSize,
     });
   } catch (error) {
-    logger.error("Error fetching flood report:", error);
+    logger.error("Error clustering flood reports:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch flood report",
+      message: "Failed to cluster flood reports",
     });
   }
 });
 
-// Get flood reports for current user - PROTECTED ROUTE
-router.get("/user/my-reports", auth, async (req, res) => {
+// Export flood reports as a GeoJSON, CSV or KML download - PUBLIC ROUTE
+router.get("/export", exportValidation, async (req, res) => {
+  const format = getExportFormat(req.query.format);
+  const cursor = FloodReport.find(buildListFilter(req.query))
+    .sort({ createdAt: -1 })
+    .select("-__v")
+    .lean()
+    .cursor();
+
+  // Stop reading from Mongo if the client goes away mid-download
+  res.on("close", () => cursor.close().catch(() => {}));
+
   try {
-    const { limit = 20, page = 1 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    res.setHeader("Content-Type", format.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="flood-reports-${timestamp}.${format.extension}"`
+    );
 
-    const reports = await FloodReport.find({ reportedBy: req.userId })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select("-__v");
+    res.write(format.header());
+
+    let index = 0;
+    for await (const report of cursor) {
+      if (!res.write(format.row(report, index++))) {
+        await once(res, "drain");
+      }
+    }
+
+    res.end(format.footer());
+  } catch (error) {
+    logger.error("Error exporting flood reports:", error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: "Failed to export flood reports",
+      });
+    }
+    res.destroy(error);
+  }
+});
+
+// Report counts per hour/day, optionally grouped by severity, status or city - PUBLIC ROUTE
+router.get("/stats/timeseries", statsValidation, async (req, res) => {
+  try {
+    const result = await getReportTimeseries(req.query);
 
-    const total = await FloodReport.countDocuments({ reportedBy: req.userId });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
 
+    res.set("Cache-Control", `public, max-age=${config.stats.cacheTtlSeconds}`);
     res.json({
       success: true,
-      data: reports,
-      count: reports.length,
-      total,
-      page: parseInt(page),
-      totalPages: Math.ceil(total / parseInt(limit)),
+      data: result.data,
+      cached: result.cached,
     });
   } catch (error) {
-    logger.error("Error fetching user flood reports:", error);
+    logger.error("Error computing flood report statistics:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch your flood reports",
+      message: "Failed to compute statistics",
     });
   }
 });
 
-// Update flood report status - PROTECTED ROUTE (only report owner or admin)
-router.patch("/:id/status", auth, async (req, res) => {
+// Soft-deleted reports, with their tombstones - ADMIN ROUTE
+router.get("/deleted", auth, requireRole("admin"), deletedListValidation, async (req, res) => {
   try {
-    const { status } = req.body;
-    const { id } = req.params;
+    await sendReportPage(req, res, { deletedAt: { $ne: null } }, 20);
+  } catch (error) {
+    logger.error("Error fetching deleted flood reports:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch deleted reports",
+    });
+  }
+});
 
-    if (!["active", "resolved", "false_report"].includes(status)) {
-      return res.status(400).json({
+// Unverified active reports awaiting moderation, oldest first - MODERATOR/ADMIN ROUTE
+router.get(
+  "/moderation/queue",
+  auth,
+  requireRole("moderator", "admin"),
+  moderationQueueValidation,
+  async (req, res) => {
+    try {
+      const { bbox, severity, flagged, limit = 20, page = 1 } = req.query;
+
+      const filter = { verified: false, status: { $in: ["submitted", "active"] }, deletedAt: null };
+      const severities = parseSeverities(severity);
+      if (severities) filter.severity = severities.length === 1 ? severities[0] : { $in: severities };
+      if (flagged !== undefined) filter.flaggedForReview = flagged === "true";
+      if (bbox) filter.geo = { $geoWithin: { $geometry: bboxToPolygon(parseBbox(bbox)) } };
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const reports = await FloodReport.find(filter)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select("-__v");
+
+      const total = await FloodReport.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: reports,
+        count: reports.length,
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      });
+    } catch (error) {
+      logger.error("Error fetching moderation queue:", error);
+      res.status(500).json({
         success: false,
-        message: "Invalid status value",
+        message: "Failed to fetch moderation queue",
       });
     }
+  }
+);
+
+// Server-Sent Events feed of created, updated, resolved and deleted reports - PUBLIC ROUTE
+// Optional bbox and severity (comma separated) filters; supports Last-Event-ID replay
+router.get("/stream", streamValidation, async (req, res) => {
+  const bbox = req.query.bbox ? parseBbox(req.query.bbox) : null;
+  const severities = req.query.severity ? req.query.severity.split(",") : null;
+
+  const matches = (event) => {
+    // Unconfirmed anonymous reports are sent once their trust is raised
+    if (event.report.trustLevel === "low") return false;
+    if (severities && !severities.includes(event.report.severity)) return false;
+    if (bbox && !pointInBbox(event.report.geo?.coordinates, bbox)) return false;
+    return true;
+  };
+
+  const send = (event) => {
+    if (!matches(event)) return;
+    // Unnumbered events leave the client's Last-Event-ID as it was
+    const id = event.id === null ? "" : `id: ${event.id}\n`;
+    res.write(`${id}event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    res.flush?.(); // push through the compression middleware
+  };
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+  res.flush?.();
+
+  // Live events that arrive while the replay is being read are buffered,
+  // then sent in order without repeating any replayed ids
+  const pending = [];
+  let lastSentId = 0;
+  let replaying = true;
+  const onEvent = (event) => {
+    if (replaying) return pending.push(event);
+    if (event.id === null || event.id > lastSentId) send(event);
+  };
+
+  reportEvents.on("event", onEvent);
+  reportEvents.ensureSubscribed();
 
-    const report = await FloodReport.findById(id);
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n");
+    res.flush?.();
+  }, STREAM_HEARTBEAT_MS);
 
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    reportEvents.off("event", onEvent);
+  });
+
+  const lastEventId = parseInt(req.get("Last-Event-ID") || req.query.lastEventId);
+  if (Number.isFinite(lastEventId)) {
+    const missed = await reportEvents.replaySince(lastEventId);
+    missed.forEach((event) => {
+      send(event);
+      lastSentId = event.id;
+    });
+  }
+
+  replaying = false;
+  pending.filter((event) => event.id === null || event.id > lastSentId).forEach(send);
+});
+
+// Get single flood report by ID - PUBLIC ROUTE
+router.get("/:id", async (req, res) => {
+  try {
+    const report = await FloodReport.findOne({ _id: req.params.id, deletedAt: null });
+    
     if (!report) {
       return res.status(404).json({
         success: false,
@@ -179,29 +1074,755 @@ router.patch("/:id/status", auth, async (req, res) => {
       });
     }
 
-    // Check if user owns the report or is admin
-    if (report.reportedBy.toString() !== req.userId && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to update this report",
-      });
-    }
-
-    report.status = status;
-    await report.save();
-
-    logger.info("Flood report status updated", {
-      reportId: report._id,
-      status,
-      updatedBy: req.userId,
-    });
-
     res.json({
       success: true,
-      message: "Report status updated successfully",
       data: report,
     });
   } catch (error) {
+    logger.error("Error fetching flood report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch flood report",
+    });
+  }
+});
+
+// Get flood reports for current user - PROTECTED ROUTE
+router.get("/user/my-reports", auth, myReportsValidation, async (req, res) => {
+  try {
+    await sendReportPage(req, res, { reportedBy: req.userId, deletedAt: null }, 20);
+  } catch (error) {
+    logger.error("Error fetching user flood reports:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch your flood reports",
+    });
+  }
+});
+
+// Serve a photo attached to a flood report - PUBLIC ROUTE
+// Pass ?size=thumbnail for the thumbnail rendition
+router.get("/:id/photos/:photoId", async (req, res) => {
+  try {
+    const report = await FloodReport.findOne({ _id: req.params.id, deletedAt: null }).select("photos");
+    const photo = report?.photos.id(req.params.photoId);
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: "Photo not found",
+      });
+    }
+
+    const variant = req.query.size === "thumbnail" ? "thumbnail" : "original";
+    const stream = await getStorage().getStream(photoStorageKey(report._id, photo, variant));
+
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: "Photo not found",
+      });
+    }
+
+    res.setHeader("Content-Type", photo.mimeType);
+    res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+    // Photos are embedded by the web and mobile clients on other origins
+    res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+
+    stream.on("error", (error) => {
+      logger.error("Error streaming flood report photo:", {
+        reportId: req.params.id,
+        photoId: req.params.photoId,
+        error: error.message,
+      });
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logger.error("Error fetching flood report photo:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch photo",
+    });
+  }
+});
+
+// Record a confirm/dispute vote; each user has one vote per report
+const voteHandler = (value) => async (req, res) => {
+  try {
+    const report = await FloodReport.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Flood report not found",
+      });
+    }
+
+    if (rejectMerged(report, res)) return;
+
+    if (report.reportedBy === req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot vote on your own report",
+      });
+    }
+
+    // Returns the previous vote (if any) so the counters can be adjusted
+    const castVote = () => ReportVote.findOneAndUpdate(
+      { report: report._id, user: req.userId },
+      { $set: { value } },
+      { upsert: true, new: false }
+    );
+    let previous;
+    try {
+      previous = await castVote();
+    } catch (error) {
+      // A concurrent vote by the same user inserted first; update that one instead
+      if (error.code !== 11000) throw error;
+      previous = await castVote();
+    }
+
+    const update = {};
+    if (previous?.value !== value) {
+      update.$inc = { [`${value}Count`]: 1 };
+      if (previous) update.$inc[`${previous.value}Count`] = -1;
+    }
+    if (value === "confirm") {
+      update.$set = { lastConfirmedAt: new Date(), lastActivityAt: new Date() };
+    }
+
+    let updated = await FloodReport.findByIdAndUpdate(report._id, update, { new: true });
+
+    // A registered user's confirmation also lifts anonymous reports out of low
+    // trust. Conditional, so only one of several concurrent confirmations
+    // reports the change (and triggers alerts).
+    let trustRaised = false;
+    if (value === "confirm" && updated.trustLevel === "low") {
+      const before = snapshotReport(updated);
+      const raised = await FloodReport.findOneAndUpdate(
+        { _id: report._id, trustLevel: "low" },
+        { $set: { trustLevel: "standard" } },
+        { new: true }
+      );
+      if (raised) {
+        updated = raised;
+        trustRaised = true;
+        await recordRevision(updated, before, {
+          action: "trust",
+          actor: req.userId,
+          actorRole: req.user.role,
+          reason: "Confirmed by a registered user",
+        });
+      }
+    }
+
+    if (value === "confirm") {
+      await reactivateStaleReport(updated, {
+        actor: req.userId,
+        actorRole: req.user.role,
+        reason: "Confirmed as still flooded",
+      }, ["stale", "submitted"]);
+    }
+
+    if (!updated.flaggedForReview && updated.disputeCount >= config.reports.disputeFlagThreshold) {
+      const before = snapshotReport(updated);
+      updated = await FloodReport.findByIdAndUpdate(
+        report._id,
+        { $set: { flaggedForReview: true, flaggedAt: new Date() } },
+        { new: true }
+      );
+
+      await recordRevision(updated, before, {
+        action: "flag",
+        actor: "system",
+        reason: `Disputed by ${updated.disputeCount} users`,
+      });
+
+      logger.warn("Flood report flagged for review", {
+        reportId: report._id,
+        disputeCount: updated.disputeCount,
+      });
+    }
+
+    reportEvents.publishChange(updated, report.status, { trustRaised });
+
+    logger.info("Flood report vote recorded", {
+      reportId: report._id,
+      vote: value,
+      previousVote: previous?.value,
+      userId: req.userId,
+    });
+
+    res.json({
+      success: true,
+      message: value === "confirm" ? "Report confirmed" : "Report disputed",
+      data: {
+        reportId: updated._id,
+        vote: value,
+        confirmCount: updated.confirmCount,
+        disputeCount: updated.disputeCount,
+        flaggedForReview: updated.flaggedForReview,
+      },
+    });
+  } catch (error) {
+    logger.error("Error recording flood report vote:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to record vote",
+    });
+  }
+};
+
+// Confirm a flood report ("still flooded here") - PROTECTED ROUTE
+router.post("/:id/confirm", auth, voteHandler("confirm"));
+
+// Dispute a flood report - PROTECTED ROUTE
+router.post("/:id/dispute", auth, voteHandler("dispute"));
+
+// Apply a moderator decision to a report and log it with its reason
+const moderationActions = {
+  verify: {
+    message: "Report verified",
+    apply: (report, req) => {
+      // Verifying also approves a report still waiting as submitted
+      if (report.status === "submitted") applyStatusTransition(report, "active", actorRoles(report, req.user));
+      report.verified = true;
+      report.trustLevel = "standard";
+      report.verifiedBy = req.userId;
+      report.verifiedAt = new Date();
+      report.flaggedForReview = false;
+    },
+  },
+  unverify: {
+    message: "Report verification removed",
+    apply: (report) => {
+      report.verified = false;
+      report.verifiedBy = undefined;
+      report.verifiedAt = undefined;
+    },
+  },
+  reject: {
+    message: "Report rejected as a false report",
+    apply: (report, req) => {
+      if (report.status !== "false_report") {
+        applyStatusTransition(report, "false_report", actorRoles(report, req.user));
+      }
+      report.verified = false;
+      report.verifiedBy = undefined;
+      report.verifiedAt = undefined;
+      report.flaggedForReview = false;
+    },
+  },
+};
+
+const moderationHandler = (action) => async (req, res) => {
+  try {
+    const report = await FloodReport.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Flood report not found",
+      });
+    }
+
+    const before = snapshotReport(report);
+    const previousStatus = report.status;
+    const previousTrustLevel = report.trustLevel;
+
+    moderationActions[action].apply(report, req);
+    report.moderationLog.push({
+      action,
+      reason: req.body.reason,
+      moderator: req.userId,
+      moderatorRole: req.user.role,
+    });
+
+    await report.save();
+
+    await recordRevision(report, before, {
+      action,
+      actor: req.userId,
+      actorRole: req.user.role,
+      reason: req.body.reason,
+    });
+
+    reportEvents.publishChange(report, previousStatus, {
+      trustRaised: previousTrustLevel === "low" && report.trustLevel !== "low",
+    });
+
+    logger.info("Flood report moderated", {
+      reportId: report._id,
+      action,
+      moderatorId: req.userId,
+    });
+
+    res.json({
+      success: true,
+      message: moderationActions[action].message,
+      data: report,
+    });
+  } catch (error) {
+    if (error.allowedStatuses) return sendTransitionError(error, res);
+
+    logger.error("Error moderating flood report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to moderate report",
+    });
+  }
+};
+
+// Moderator decisions - MODERATOR/ADMIN ROUTES
+router.post("/:id/verify", auth, requireRole("moderator", "admin"), moderationValidation, moderationHandler("verify"));
+router.post("/:id/unverify", auth, requireRole("moderator", "admin"), moderationValidation, moderationHandler("unverify"));
+router.post("/:id/reject", auth, requireRole("moderator", "admin"), moderationValidation, moderationHandler("reject"));
+
+// Post a follow-up update on a flood report - PROTECTED ROUTE
+// Accepts JSON, or multipart/form-data with one image in the "photo" field
+router.post("/:id/updates", auth, uploadPhotos("photo", 1), reportUpdateValidation, async (req, res) => {
+  try {
+    const report = await FloodReport.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Flood report not found",
+      });
+    }
+
+    if (rejectMerged(report, res)) return;
+
+    if (report.status === "false_report") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot post updates on a report marked as false",
+      });
+    }
+
+    if (report.status === "archived") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot post updates on an archived report",
+      });
+    }
+
+    const waterLevel = normalizeWaterLevel(req.body.waterLevel);
+    const severity = req.body.severity || deriveSeverity(waterLevel?.depthCm);
+
+    const [photo] = await storePhotos(req.files, {
+      reportId: report._id.toString(),
+      uploadedBy: req.userId,
+    });
+
+    let update;
+    try {
+      update = await ReportUpdate.create({
+        report: report._id,
+        author: req.userId,
+        text: req.body.text,
+        severity,
+        waterLevel,
+        photo: photo?._id,
+      });
+    } catch (error) {
+      // Don't leave an orphaned file behind when the update wasn't saved
+      if (photo) await deletePhoto(report._id, photo);
+      throw error;
+    }
+
+    // The parent report tracks the latest conditions; the first severity is kept
+    const before = snapshotReport(report);
+    const previousStatus = report.status;
+    if (severity && severity !== report.severity) {
+      if (!report.originalSeverity) report.originalSeverity = report.severity;
+      report.severity = severity;
+    }
+    if (waterLevel) report.waterLevel = waterLevel;
+    if (photo) report.photos.push(photo);
+    report.updateCount += 1;
+    report.lastUpdateAt = update.createdAt;
+    report.lastActivityAt = update.createdAt;
+    if (report.status === "stale") applyStatusTransition(report, "active", SYSTEM_ROLES);
+
+    await report.save();
+
+    await recordRevision(report, before, {
+      action: "update",
+      actor: req.userId,
+      actorRole: req.user.role,
+      reason: "Follow-up update posted",
+    });
+
+    reportEvents.publishChange(report, previousStatus);
+
+    logger.info("Flood report update posted", {
+      reportId: report._id,
+      updateId: update._id,
+      severity,
+      userId: req.userId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Update posted successfully",
+      data: {
+        update,
+        report,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    logger.error("Error posting flood report update:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to post update",
+    });
+  }
+});
+
+// Get the follow-up updates on a flood report, newest first - PUBLIC ROUTE
+// Update photos are served from /:id/photos/:photoId
+router.get("/:id/updates", pageValidation, async (req, res) => {
+  try {
+    const { limit = 20, page = 1 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const report = await FloodReport.findOne({ _id: req.params.id, deletedAt: null }).select("_id");
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Flood report not found",
+      });
+    }
+
+    const filter = { report: report._id };
+
+    const updates = await ReportUpdate.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select("-__v");
+
+    const total = await ReportUpdate.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: updates,
+      count: updates.length,
+      total,
+      page: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+    });
+  } catch (error) {
+    logger.error("Error fetching flood report updates:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch report updates",
+    });
+  }
+});
+
+// Get the revision history of a flood report - PROTECTED ROUTE (owner, moderator or admin)
+router.get("/:id/history", auth, pageValidation, async (req, res) => {
+  try {
+    const report = await FloodReport.findById(req.params.id).select("reportedBy mergedFrom");
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Flood report not found",
+      });
+    }
+
+    if (report.reportedBy !== req.userId && !["moderator", "admin"].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this report's history",
+      });
+    }
+
+    const { limit = 50, page = 1 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    // Include the history of reports that were merged into this one
+    const filter = { report: { $in: [report._id, ...report.mergedFrom] } };
+
+    const revisions = await ReportRevision.find(filter)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select("-__v");
+
+    const total = await ReportRevision.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: revisions,
+      count: revisions.length,
+      total,
+      page: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+    });
+  } catch (error) {
+    logger.error("Error fetching flood report history:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch report history",
+    });
+  }
+});
+
+// Merge duplicate reports into this one - ADMIN ROUTE
+router.post("/:id/merge", auth, requireRole("admin"), mergeValidation, async (req, res) => {
+  try {
+    const duplicateIds = [...new Set(req.body.duplicateIds)];
+
+    if (duplicateIds.includes(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "A report cannot be merged into itself",
+      });
+    }
+
+    const target = await FloodReport.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: "Flood report not found",
+      });
+    }
+
+    if (rejectMerged(target, res)) return;
+
+    const sources = await FloodReport.find({ _id: { $in: duplicateIds }, deletedAt: null });
+
+    if (sources.length !== duplicateIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: "One or more duplicate reports were not found",
+      });
+    }
+
+    if (sources.some((source) => source.mergedInto)) {
+      return res.status(409).json({
+        success: false,
+        message: "One or more duplicate reports have already been merged",
+      });
+    }
+
+    await mergeReports(target, sources, {
+      actor: req.userId,
+      actorRole: req.user.role,
+      reason: req.body.reason,
+    });
+
+    logger.info("Flood reports merged", {
+      reportId: target._id,
+      mergedIds: duplicateIds,
+      mergedBy: req.userId,
+    });
+
+    res.json({
+      success: true,
+      message: "Reports merged successfully",
+      data: target,
+    });
+  } catch (error) {
+    logger.error("Error merging flood reports:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to merge reports",
+    });
+  }
+});
+
+// Correct the description, location or severity of a flood report - PROTECTED ROUTE
+// (the reporter within the edit window, or an admin at any time)
+router.patch("/:id", auth, editValidation, async (req, res) => {
+  try {
+    const { severity, description, location, latitude, longitude, reason } = req.body;
+
+    if ([severity, description, location, latitude].every((value) => value === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing to update",
+      });
+    }
+
+    const report = await FloodReport.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Flood report not found",
+      });
+    }
+
+    if (rejectMerged(report, res)) return;
+    if (rejectUnlessEditable(report, req, res, "edit")) return;
+
+    const before = snapshotReport(report);
+    const previousStatus = report.status;
+
+    if (severity !== undefined) report.severity = severity;
+    if (description !== undefined) report.description = description;
+    if (location !== undefined) report.location = location;
+
+    if (latitude !== undefined) {
+      report.latitude = latitude;
+      report.longitude = longitude;
+      // Re-derive the area unless the reporter picked it explicitly
+      if (report.psgc?.source !== "submitted") {
+        report.psgc = await locatePsgc(toGeoPoint(latitude, longitude)) || undefined;
+      }
+    }
+
+    await report.save();
+
+    const revision = await recordRevision(report, before, {
+      action: "edit",
+      actor: req.userId,
+      actorRole: req.user.role,
+      reason,
+    });
+
+    if (revision) reportEvents.publishChange(report, previousStatus);
+
+    logger.info("Flood report edited", {
+      reportId: report._id,
+      fields: revision ? revision.changes.map((change) => change.field) : [],
+      editedBy: req.userId,
+    });
+
+    res.json({
+      success: true,
+      message: "Report updated successfully",
+      data: report,
+    });
+  } catch (error) {
+    logger.error("Error editing flood report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update report",
+    });
+  }
+});
+
+// Soft delete a flood report, keeping it for admins and its history - PROTECTED ROUTE
+// (the reporter within the edit window, or an admin at any time)
+router.delete("/:id", auth, deleteValidation, async (req, res) => {
+  try {
+    const report = await FloodReport.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Flood report not found",
+      });
+    }
+
+    if (rejectUnlessEditable(report, req, res, "delete")) return;
+
+    const before = snapshotReport(report);
+    report.deletedAt = new Date();
+    report.deletedBy = req.userId;
+    report.deletionReason = req.body.reason;
+    await report.save();
+
+    await recordRevision(report, before, {
+      action: "delete",
+      actor: req.userId,
+      actorRole: req.user.role,
+      reason: req.body.reason,
+    });
+
+    // Live feeds only need enough to drop the report from view
+    reportEvents.publish("deleted", {
+      _id: report._id,
+      severity: report.severity,
+      location: report.location,
+      geo: report.geo,
+      psgc: report.psgc,
+      deletedAt: report.deletedAt,
+    });
+
+    logger.info("Flood report deleted", {
+      reportId: report._id,
+      deletedBy: req.userId,
+    });
+
+    res.json({
+      success: true,
+      message: "Report deleted successfully",
+      data: {
+        reportId: report._id,
+        deletedAt: report.deletedAt,
+      },
+    });
+  } catch (error) {
+    logger.error("Error deleting flood report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete report",
+    });
+  }
+});
+
+// Move a flood report through its lifecycle - PROTECTED ROUTE
+// Who may make each transition is defined in services/reportStatus.js
+router.patch("/:id/status", auth, statusValidation, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const report = await FloodReport.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Flood report not found",
+      });
+    }
+
+    if (rejectMerged(report, res)) return;
+
+    const before = snapshotReport(report);
+    const previousStatus = report.status;
+    applyStatusTransition(report, status, actorRoles(report, req.user));
+    await report.save();
+
+    await recordRevision(report, before, {
+      action: "status",
+      actor: req.userId,
+      actorRole: req.user.role,
+      reason,
+    });
+
+    reportEvents.publishChange(report, previousStatus);
+
+    logger.info("Flood report status updated", {
+      reportId: report._id,
+      from: previousStatus,
+      status,
+      updatedBy: req.userId,
+    });
+
+    res.json({
+      success: true,
+      message: "Report status updated successfully",
+      data: report,
+    });
+  } catch (error) {
+    if (error.allowedStatuses) return sendTransitionError(error, res);
+
     logger.error("Error updating flood report status:", error);
     res.status(500).json({
       success: false,
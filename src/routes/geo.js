@@ -0,0 +1,76 @@
+import express from "express";
+import { query } from "express-validator";
+import { handleValidationErrors } from "../middleware/validation.js";
+import { reverseGeocode, searchPlaces } from "../services/geocodingService.js";
+import { toGeoPoint } from "../utils/geo.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+const MAX_SEARCH_RESULTS = 25;
+
+const reverseValidation = [
+  query("lat").isFloat({ min: -90, max: 90 }).withMessage("Invalid latitude"),
+  query("lng").isFloat({ min: -180, max: 180 }).withMessage("Invalid longitude"),
+  handleValidationErrors,
+];
+
+const searchValidation = [
+  query("q")
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Search text of 2 to 100 characters is required"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_SEARCH_RESULTS })
+    .withMessage(`Limit must be between 1 and ${MAX_SEARCH_RESULTS}`),
+  handleValidationErrors,
+];
+
+// Search barangays, cities, landmarks and roads by name - PUBLIC ROUTE
+// Results carry coordinates and psgcCode for prefilling POST /api/flood-reports/submit
+router.get("/search", searchValidation, async (req, res) => {
+  try {
+    const results = await searchPlaces(req.query.q, { limit: parseInt(req.query.limit) || 10 });
+
+    res.json({
+      success: true,
+      data: results,
+      count: results.length,
+    });
+  } catch (error) {
+    logger.error("Error searching places:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to search places",
+    });
+  }
+});
+
+// Reverse geocode a point from the local gazetteer - PUBLIC ROUTE
+router.get("/reverse", reverseValidation, async (req, res) => {
+  try {
+    const result = await reverseGeocode(toGeoPoint(req.query.lat, req.query.lng));
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "No local place data covers this location",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Error reverse geocoding:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reverse geocode location",
+    });
+  }
+});
+
+export { router as geoRoutes };
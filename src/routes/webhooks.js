@@ -0,0 +1,320 @@
+import express from "express";
+import { body, param, query } from "express-validator";
+import Webhook, { WEBHOOK_EVENTS } from "../models/Webhook.js";
+import WebhookDelivery, { DELIVERY_STATUSES } from "../models/WebhookDelivery.js";
+import { SEVERITY_LEVELS } from "../models/FloodReport.js";
+import config from "../config/config.js";
+import { auth, requireRole } from "../middleware/auth.js";
+import { handleValidationErrors } from "../middleware/validation.js";
+import { generateSecret, redeliver, SIGNATURE_HEADER } from "../services/webhookService.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+// Fields an admin may set directly
+const EDITABLE_FIELDS = ["url", "description", "events", "severities", "active"];
+
+// Plain http is only accepted outside production
+const URL_PROTOCOLS = config.env === "production" ? ["https"] : ["https", "http"];
+
+const webhookValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field("url")
+      .isURL({ protocols: URL_PROTOCOLS, require_protocol: true, require_tld: config.env === "production" })
+      .withMessage(`url must be a valid ${URL_PROTOCOLS.join(" or ")} URL`),
+    body("description")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Description must be at most 200 characters"),
+    body("events")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("events must be a non-empty array"),
+    body("events.*").isIn(WEBHOOK_EVENTS).withMessage(`Events must be one of: ${WEBHOOK_EVENTS.join(", ")}`),
+    body("severities").optional().isArray().withMessage("severities must be an array"),
+    body("severities.*").isIn(SEVERITY_LEVELS).withMessage("Invalid severity level"),
+    body("active").optional().isBoolean().withMessage("active must be true or false"),
+    handleValidationErrors,
+  ];
+};
+
+const idValidation = [
+  param("id").isMongoId().withMessage("Invalid webhook id"),
+  param("deliveryId").optional().isMongoId().withMessage("Invalid delivery id"),
+  handleValidationErrors,
+];
+
+const deliveryListValidation = [
+  query("status").optional().isIn(DELIVERY_STATUSES).withMessage("Invalid delivery status"),
+  query("event").optional().isIn(WEBHOOK_EVENTS).withMessage("Invalid event"),
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive number"),
+  handleValidationErrors,
+];
+
+const pickEditable = (source) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+const webhookNotFound = (res) => res.status(404).json({
+  success: false,
+  message: "Webhook not found",
+});
+
+// Webhook management is admin only
+router.use(auth, requireRole("admin"));
+
+// List webhooks
+router.get("/", async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 }).select("-__v");
+
+    res.json({
+      success: true,
+      data: webhooks,
+      count: webhooks.length,
+    });
+  } catch (error) {
+    logger.error("Error fetching webhooks:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhooks",
+    });
+  }
+});
+
+// Register a webhook. The signing secret is only shown in this response.
+router.post("/", webhookValidation(), async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+      ...pickEditable(req.body),
+      secret,
+      createdBy: req.userId,
+    });
+
+    logger.info("Webhook registered", {
+      webhookId: webhook._id,
+      url: webhook.url,
+      adminId: req.userId,
+    });
+
+    const data = webhook.toObject();
+    delete data.__v;
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook registered",
+      data: { ...data, secret },
+      signatureHeader: SIGNATURE_HEADER,
+    });
+  } catch (error) {
+    logger.error("Error registering webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to register webhook",
+    });
+  }
+});
+
+// Get a webhook
+router.get("/:id", idValidation, async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id).select("-__v");
+    if (!webhook) return webhookNotFound(res);
+
+    res.json({
+      success: true,
+      data: webhook,
+    });
+  } catch (error) {
+    logger.error("Error fetching webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhook",
+    });
+  }
+});
+
+// Update a webhook
+router.patch("/:id", idValidation, webhookValidation(true), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickEditable(req.body) },
+      { new: true, runValidators: true },
+    ).select("-__v");
+    if (!webhook) return webhookNotFound(res);
+
+    logger.info("Webhook updated", { webhookId: webhook._id, adminId: req.userId });
+
+    res.json({
+      success: true,
+      message: "Webhook updated",
+      data: webhook,
+    });
+  } catch (error) {
+    logger.error("Error updating webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update webhook",
+    });
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete("/:id", idValidation, async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) return webhookNotFound(res);
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    logger.info("Webhook deleted", { webhookId: webhook._id, adminId: req.userId });
+
+    res.json({
+      success: true,
+      message: "Webhook deleted",
+    });
+  } catch (error) {
+    logger.error("Error deleting webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete webhook",
+    });
+  }
+});
+
+// Replace the signing secret. The new secret is only shown in this response.
+router.post("/:id/rotate-secret", idValidation, async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, { secret }, { new: true });
+    if (!webhook) return webhookNotFound(res);
+
+    logger.info("Webhook secret rotated", { webhookId: webhook._id, adminId: req.userId });
+
+    res.json({
+      success: true,
+      message: "Webhook secret rotated",
+      data: { _id: webhook._id, secret },
+    });
+  } catch (error) {
+    logger.error("Error rotating webhook secret:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to rotate webhook secret",
+    });
+  }
+});
+
+// Delivery log for a webhook, newest first
+router.get("/:id/deliveries", idValidation, deliveryListValidation, async (req, res) => {
+  try {
+    const { status, event, limit = 20, page = 1 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const webhook = await Webhook.findById(req.params.id).select("_id");
+    if (!webhook) return webhookNotFound(res);
+
+    const filter = { webhook: webhook._id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select("-payload -__v");
+
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length,
+      total,
+      page: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+    });
+  } catch (error) {
+    logger.error("Error fetching webhook deliveries:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhook deliveries",
+    });
+  }
+});
+
+// A single delivery, including the payload that was sent
+router.get("/:id/deliveries/:deliveryId", idValidation, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhook: req.params.id,
+    }).select("-__v");
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: "Delivery not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    logger.error("Error fetching webhook delivery:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhook delivery",
+    });
+  }
+});
+
+// Send a delivery again now
+router.post("/:id/deliveries/:deliveryId/redeliver", idValidation, async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id).select("+secret");
+    if (!webhook) return webhookNotFound(res);
+
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhook: webhook._id,
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: "Delivery not found",
+      });
+    }
+
+    const updated = await redeliver(delivery, webhook);
+
+    res.json({
+      success: true,
+      message: {
+        success: "Delivery succeeded",
+        pending: "Delivery failed, retry scheduled",
+        failed: "Delivery failed",
+      }[updated.status],
+      data: updated,
+    });
+  } catch (error) {
+    logger.error("Error redelivering webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to redeliver webhook",
+    });
+  }
+});
+
+export { router as webhookRoutes };
@@ -0,0 +1,157 @@
+import AlertSubscription, { MAX_ALERT_RADIUS } from '../models/AlertSubscription.js';
+import User from '../models/User.js';
+import { SEVERITY_LEVELS } from '../models/FloodReport.js';
+import emailService from '../utils/emailService.js';
+import reportEvents from './reportEvents.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Active subscriptions whose watch area contains a report and whose
+ * minimum severity the report meets
+ * @param {Object} report - Flood report (document JSON or plain object)
+ * @returns {Promise<Object[]>} Matching subscriptions
+ */
+const findMatchingSubscriptions = async (report) => {
+  if (!report.geo?.coordinates) return [];
+
+  const point = { type: 'Point', coordinates: report.geo.coordinates };
+  const rank = SEVERITY_LEVELS.indexOf(report.severity);
+  const baseQuery = {
+    active: true,
+    minSeverity: { $in: SEVERITY_LEVELS.slice(0, rank + 1) },
+  };
+
+  const polygons = await AlertSubscription.find({
+    ...baseQuery,
+    'area.type': 'Polygon',
+    area: { $geoIntersects: { $geometry: point } },
+  }).lean();
+
+  // Each point subscription has its own radius, so filter on the computed distance
+  const circles = await AlertSubscription.aggregate([
+    {
+      $geoNear: {
+        near: point,
+        key: 'area',
+        distanceField: 'distance',
+        maxDistance: MAX_ALERT_RADIUS,
+        spherical: true,
+        query: { ...baseQuery, 'area.type': 'Point' },
+      },
+    },
+    { $match: { $expr: { $lte: ['$distance', '$radius'] } } },
+  ]);
+
+  return [...polygons, ...circles];
+};
+
+/**
+ * Claim the right to email a subscription now. Atomic, so concurrent
+ * reports can't both pass the throttle.
+ * @param {Object} subscription - AlertSubscription
+ * @returns {Promise<Date|null>} Claim time, or null when throttled
+ */
+const claimNotificationSlot = async (subscription) => {
+  const now = new Date();
+  const claimed = await AlertSubscription.findOneAndUpdate(
+    {
+      _id: subscription._id,
+      $or: [
+        { lastNotifiedAt: null },
+        {
+          $expr: {
+            $lte: ['$lastNotifiedAt', { $subtract: [now, { $multiply: ['$throttleMinutes', 60 * 1000] }] }],
+          },
+        },
+      ],
+    },
+    { $set: { lastNotifiedAt: now }, $inc: { notificationCount: 1 } }
+  );
+  return claimed ? now : null;
+};
+
+/**
+ * Give back a claimed slot when the email wasn't sent, so the throttle
+ * doesn't suppress the next matching report. Left alone if a newer claim
+ * has been made since.
+ * @param {Object} subscription - AlertSubscription as loaded before the claim
+ * @param {Date} claimedAt - From claimNotificationSlot
+ */
+const releaseNotificationSlot = async (subscription, claimedAt) => {
+  await AlertSubscription.updateOne(
+    { _id: subscription._id, lastNotifiedAt: claimedAt },
+    { $set: { lastNotifiedAt: subscription.lastNotifiedAt ?? null }, $inc: { notificationCount: -1 } }
+  );
+};
+
+/**
+ * Email every subscriber whose watch area matches a new (or newly trusted) report
+ * @param {Object} report - Flood report
+ * @returns {Promise<number>} Number of emails sent
+ */
+const notifySubscribers = async (report) => {
+  // Unconfirmed anonymous reports are too easy to abuse for mass email
+  if (report.trustLevel === 'low') return 0;
+
+  const subscriptions = await findMatchingSubscriptions(report);
+  let sent = 0;
+
+  for (const subscription of subscriptions) {
+    if (subscription.user.toString() === report.reportedBy) continue;
+
+    const user = await User.findById(subscription.user).select('name email isActive');
+    if (!user?.isActive) continue;
+
+    const claimedAt = await claimNotificationSlot(subscription);
+    if (!claimedAt) continue;
+
+    const result = await emailService.sendFloodAlert(user, report, subscription);
+    if (result.success) {
+      sent += 1;
+    } else {
+      await releaseNotificationSlot(subscription, claimedAt);
+      logger.warn('Flood alert email not sent', {
+        subscriptionId: subscription._id,
+        error: result.error,
+      });
+    }
+  }
+
+  if (subscriptions.length > 0) {
+    logger.info('Flood alert subscriptions processed', {
+      reportId: report._id,
+      matched: subscriptions.length,
+      sent,
+    });
+  }
+
+  return sent;
+};
+
+let started = false;
+
+/**
+ * Send alerts for reports created on this instance. Anonymous reports are
+ * held back until a confirmation or a moderator's verification raises their trust.
+ */
+const startAlertNotifications = () => {
+  if (started) return;
+  started = true;
+
+  reportEvents.on('local', (event) => {
+    if (event.type !== 'created' && !event.trustRaised) return;
+
+    notifySubscribers(event.report).catch((error) => {
+      logger.error('Flood alert processing failed:', {
+        reportId: event.reportId,
+        error: error.message,
+      });
+    });
+  });
+};
+
+export {
+  findMatchingSubscriptions,
+  notifySubscribers,
+  startAlertNotifications,
+};
@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import FloodReport from '../models/FloodReport.js';
+import ReportUpdate from '../models/ReportUpdate.js';
+import ReportVote from '../models/ReportVote.js';
+import { snapshotReport, recordRevision } from './reportHistory.js';
+import { SYSTEM_ROLES, applyStatusTransition } from './reportStatus.js';
+import reportEvents from './reportEvents.js';
+import { customValidators } from '../utils/validation.js';
+
+const MAX_POSSIBLE_DUPLICATES = 5;
+
+const latestDate = (current, candidate) => (!current || (candidate && candidate > current) ? candidate : current);
+
+/**
+ * Find recent open (submitted, active or receding) reports close to a point, nearest first
+ * @param {Object} point - GeoJSON Point of the new report
+ * @returns {Promise<Object[]>} Candidate reports with their distance in metres
+ */
+const findPossibleDuplicates = async (point) => {
+  if (!point) return [];
+
+  return FloodReport.aggregate([
+    {
+      $geoNear: {
+        near: point,
+        key: 'geo',
+        distanceField: 'distance',
+        maxDistance: config.reports.duplicateRadius,
+        spherical: true,
+        query: {
+          status: { $in: ['submitted', 'active', 'receding'] },
+          mergedInto: null,
+          deletedAt: null,
+          createdAt: { $gte: new Date(Date.now() - config.reports.duplicateWindowMs) },
+        },
+      },
+    },
+    { $limit: MAX_POSSIBLE_DUPLICATES },
+    {
+      $project: {
+        severity: 1,
+        location: 1,
+        status: 1,
+        confirmCount: 1,
+        createdAt: 1,
+        distance: 1,
+      },
+    },
+  ]);
+};
+
+/**
+ * Fold duplicate reports into a target report.
+ *
+ * Updates, photos and votes move to the target (a user's existing vote on the
+ * target wins). Sources are archived and linked via mergedInto; both sides get
+ * a "merge" revision so each keeps its own history.
+ *
+ * @param {Object} target - FloodReport document that survives
+ * @param {Object[]} sources - FloodReport documents merged into the target
+ * @param {Object} actor - { actor, actorRole, reason }
+ * @returns {Promise<Object>} The updated target
+ */
+const mergeReports = async (target, sources, { actor, actorRole, reason }) => {
+  const targetBefore = snapshotReport(target);
+
+  for (const source of sources) {
+    const sourceBefore = snapshotReport(source);
+    const sourcePreviousStatus = source.status;
+
+    // Move votes from users who haven't voted on the target (or own it)
+    const excludedVoters = await ReportVote.find({ report: target._id }).distinct('user');
+    if (customValidators.isObjectId(target.reportedBy)) {
+      excludedVoters.push(new mongoose.Types.ObjectId(target.reportedBy));
+    }
+    await ReportVote.updateMany(
+      { report: source._id, user: { $nin: excludedVoters } },
+      { $set: { report: target._id } }
+    );
+
+    await ReportUpdate.updateMany({ report: source._id }, { $set: { report: target._id } });
+
+    source.photos.forEach((photo) => {
+      target.photos.push({ ...photo.toObject(), storedUnder: photo.storedUnder || source._id });
+    });
+
+    target.updateCount += source.updateCount;
+    target.lastUpdateAt = latestDate(target.lastUpdateAt, source.lastUpdateAt);
+    target.lastConfirmedAt = latestDate(target.lastConfirmedAt, source.lastConfirmedAt);
+    target.lastActivityAt = latestDate(target.lastActivityAt, source.lastActivityAt);
+    target.mergedFrom.push(source._id, ...source.mergedFrom);
+
+    source.mergedInto = target._id;
+    source.duplicateOf = target._id;
+    if (source.status !== 'archived') applyStatusTransition(source, 'archived', SYSTEM_ROLES);
+    await source.save();
+
+    await recordRevision(source, sourceBefore, {
+      action: 'merge',
+      actor,
+      actorRole,
+      reason: reason || `Merged into ${target._id}`,
+      always: true,
+    });
+    reportEvents.publishChange(source, sourcePreviousStatus);
+  }
+
+  const counts = await ReportVote.aggregate([
+    { $match: { report: target._id } },
+    { $group: { _id: '$value', count: { $sum: 1 } } },
+  ]);
+  target.confirmCount = counts.find((count) => count._id === 'confirm')?.count || 0;
+  target.disputeCount = counts.find((count) => count._id === 'dispute')?.count || 0;
+
+  await target.save();
+
+  await recordRevision(target, targetBefore, {
+    action: 'merge',
+    actor,
+    actorRole,
+    reason: reason || `Merged ${sources.map((source) => source._id).join(', ')}`,
+    always: true,
+  });
+  reportEvents.publishChange(target, target.status);
+
+  return target;
+};
+
+export {
+  findPossibleDuplicates,
+  mergeReports,
+};
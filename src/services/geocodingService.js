@@ -0,0 +1,240 @@
+import config from '../config/config.js';
+import AdminArea, { ADMIN_LEVELS } from '../models/AdminArea.js';
+import Place from '../models/Place.js';
+import { toReportPsgc } from './psgcService.js';
+import { distanceMeters } from '../utils/geo.js';
+import { normalizePlaceName, placeTrigrams } from '../utils/placeName.js';
+import logger from '../utils/logger.js';
+
+// Search ranking: trigram similarity (0-1) plus bonuses for prefix matches
+const MIN_SEARCH_SCORE = 0.25;
+const PREFIX_BONUS = 0.2;
+const WORD_PREFIX_BONUS = 0.1;
+
+/**
+ * "Barangay 1" -> "Brgy. 1", "Tumana" -> "Brgy. Tumana"
+ * @param {string} name - PSGC barangay name
+ * @returns {string}
+ */
+const formatBarangayName = (name) => `Brgy. ${name.replace(/^(barangay|brgy\.?)\s+/i, '')}`;
+
+/**
+ * "City of Marikina" -> "Marikina City"; municipalities keep their name.
+ * Drops PSA annotations such as "(Capital)".
+ * @param {string} name - PSGC city/municipality name
+ * @returns {string}
+ */
+const formatCityName = (name) => {
+  const plain = name.replace(/\s*\(capital\)\s*$/i, '').trim();
+  const match = plain.match(/^city of (.+)$/i);
+  return match ? `${match[1]} City` : plain;
+};
+
+const toArea = (area) => (area ? { code: area.code, name: area.name } : undefined);
+
+const findNearestPlace = async (point) => {
+  const place = await Place.findOne({
+    geo: {
+      $nearSphere: {
+        $geometry: point,
+        $maxDistance: config.geocoding.placeRadius,
+      },
+    },
+  })
+    .select('name kind locality psgcCode geo')
+    .lean();
+
+  if (!place) return null;
+
+  return {
+    name: place.name,
+    kind: place.kind,
+    locality: place.locality,
+    distance: Math.round(distanceMeters(point.coordinates, place.geo.coordinates)),
+  };
+};
+
+/**
+ * Human-readable label for a set of reverse geocoding results
+ * @returns {string|null} e.g. "Brgy. Tumana, Marikina City"
+ */
+const buildLabel = ({ barangay, city, province, region, nearestPlace }) => {
+  if (barangay || city) {
+    return [barangay && formatBarangayName(barangay.name), city && formatCityName(city.name)]
+      .filter(Boolean)
+      .join(', ');
+  }
+  if (nearestPlace) {
+    return [nearestPlace.name, nearestPlace.locality].filter(Boolean).join(', ');
+  }
+  if (province || region) {
+    return (province || region).name;
+  }
+  return null;
+};
+
+/**
+ * Describe a point using only locally imported data: the PSGC boundaries
+ * containing it and the nearest gazetteer place.
+ * @param {Object} point - GeoJSON Point
+ * @returns {Promise<Object|null>} { label, barangay, city, province, region, nearestPlace },
+ *   or null when nothing local covers the point
+ */
+const reverseGeocode = async (point) => {
+  const [containing, nearestPlace] = await Promise.all([
+    AdminArea.find({ boundary: { $geoIntersects: { $geometry: point } } })
+      .select('code name level regionCode provinceCode cityCode')
+      .lean(),
+    findNearestPlace(point),
+  ]);
+
+  const byCode = new Map(containing.map((area) => [area.code, area]));
+
+  // Fill in ancestors whose own boundaries weren't imported
+  const smallest = containing.reduce((best, area) => (
+    !best || ADMIN_LEVELS.indexOf(area.level) > ADMIN_LEVELS.indexOf(best.level) ? area : best
+  ), null);
+  const missing = smallest
+    ? [smallest.regionCode, smallest.provinceCode, smallest.cityCode].filter((code) => code && !byCode.has(code))
+    : [];
+  if (missing.length > 0) {
+    const ancestors = await AdminArea.find({ code: { $in: missing } }).select('code name level').lean();
+    ancestors.forEach((area) => byCode.set(area.code, area));
+  }
+
+  const result = {
+    barangay: smallest?.level === 'barangay' ? toArea(smallest) : undefined,
+    city: toArea(byCode.get(smallest?.cityCode)),
+    province: toArea(byCode.get(smallest?.provinceCode)),
+    region: toArea(byCode.get(smallest?.regionCode)),
+    nearestPlace: nearestPlace || undefined,
+  };
+
+  const label = buildLabel(result);
+  return label ? { label, ...result } : null;
+};
+
+/**
+ * Location label for a report submitted with coordinates only.
+ * Never throws; returns null when the point can't be described.
+ * @param {Object} point - GeoJSON Point
+ * @returns {Promise<string|null>}
+ */
+const describeLocation = async (point) => {
+  if (!point) return null;
+
+  try {
+    const result = await reverseGeocode(point);
+    return result?.label || null;
+  } catch (error) {
+    logger.warn('Reverse geocoding failed', { error: error.message });
+    return null;
+  }
+};
+
+// Candidates sharing a trigram with the query, scored and ranked in MongoDB.
+// Word-start trigrams ("  m") are shared by a large share of all names, so
+// they count towards the score but don't select candidates.
+// searchName only holds [a-z0-9 ], so it is safe to embed in the regex.
+const searchPipeline = (searchName, trigrams, limit) => [
+  { $match: { searchTrigrams: { $in: trigrams.filter((trigram) => !trigram.startsWith('  ')) } } },
+  { $addFields: { shared: { $size: { $setIntersection: ['$searchTrigrams', trigrams] } } } },
+  {
+    $addFields: {
+      score: {
+        $add: [
+          { $divide: ['$shared', { $subtract: [{ $add: [{ $size: '$searchTrigrams' }, trigrams.length] }, '$shared'] }] },
+          { $cond: [{ $eq: [{ $indexOfCP: ['$searchName', searchName] }, 0] }, PREFIX_BONUS, 0] },
+          { $cond: [{ $regexMatch: { input: '$searchName', regex: `(^| )${searchName}` } }, WORD_PREFIX_BONUS, 0] },
+        ],
+      },
+    },
+  },
+  { $match: { score: { $gte: MIN_SEARCH_SCORE } } },
+  { $sort: { score: -1, searchName: 1 } },
+  { $limit: limit },
+  { $project: { boundary: 0, searchTrigrams: 0, shared: 0 } },
+];
+
+const toCoordinates = (point) => ({
+  latitude: point?.coordinates?.[1] ?? null,
+  longitude: point?.coordinates?.[0] ?? null,
+});
+
+/**
+ * Search the local gazetteer (PSGC areas and imported places) by name.
+ * Tolerates misspellings and expands abbreviations such as Brgy., Sto., Sta.
+ * @param {string} query - What the user typed
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Object[]>} Ranked results with coordinates and PSGC codes
+ */
+const searchPlaces = async (query, { limit = 10 } = {}) => {
+  const searchName = normalizePlaceName(query);
+  const trigrams = placeTrigrams(searchName);
+  if (trigrams.length === 0) return [];
+
+  const [areas, places] = await Promise.all([
+    AdminArea.aggregate(searchPipeline(searchName, trigrams, limit)),
+    Place.aggregate(searchPipeline(searchName, trigrams, limit)),
+  ]);
+
+  // Parent cities for barangay labels, and the hierarchy behind place PSGC codes
+  const codes = new Set([
+    ...areas.filter((area) => area.level === 'barangay' && area.cityCode).map((area) => area.cityCode),
+    ...places.filter((place) => place.psgcCode).map((place) => place.psgcCode),
+  ]);
+  const related = codes.size > 0
+    ? await AdminArea.find({ code: { $in: [...codes] } })
+      .select('code name level regionCode provinceCode cityCode')
+      .lean()
+    : [];
+  const byCode = new Map(related.map((area) => [area.code, area]));
+
+  const results = [
+    ...areas.map((area) => {
+      const city = byCode.get(area.cityCode);
+      let label = area.name;
+      if (area.level === 'barangay') {
+        label = [formatBarangayName(area.name), city && formatCityName(city.name)].filter(Boolean).join(', ');
+      } else if (area.level === 'city' || area.level === 'municipality') {
+        label = formatCityName(area.name);
+      }
+
+      return {
+        type: area.level,
+        name: area.name,
+        label,
+        ...toCoordinates(area.center),
+        psgcCode: area.code,
+        psgc: toReportPsgc(area),
+        score: area.score,
+      };
+    }),
+    ...places.map((place) => {
+      const area = byCode.get(place.psgcCode);
+      return {
+        type: 'place',
+        kind: place.kind,
+        name: place.name,
+        label: [place.name, place.locality].filter(Boolean).join(', '),
+        ...toCoordinates(place.geo),
+        psgcCode: area?.code,
+        psgc: area ? toReportPsgc(area) : undefined,
+        score: place.score,
+      };
+    }),
+  ];
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((result) => ({ ...result, score: Math.round(result.score * 1000) / 1000 }));
+};
+
+export {
+  formatBarangayName,
+  formatCityName,
+  reverseGeocode,
+  describeLocation,
+  searchPlaces,
+};
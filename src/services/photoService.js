@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import { getStorage } from './storage/index.js';
+import logger from '../utils/logger.js';
+
+// Accepted upload types, keyed by the format sharp detects from the file contents
+const PHOTO_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { mimeType: 'image/png', extension: 'png' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+};
+
+const ALLOWED_PHOTO_MIME_TYPES = Object.values(PHOTO_FORMATS).map((format) => format.mimeType);
+
+const MAX_PHOTO_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 320;
+
+const photoError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Storage key for a report photo. Keys are derived rather than stored so
+ * storage paths never leak into API responses.
+ * @param {string} reportId - Owning flood report id
+ * @param {Object} photo - Photo metadata with _id, extension and, for photos
+ *   carried over by a merge, the storedUnder report id
+ * @param {string} [variant] - 'original' or 'thumbnail'
+ * @returns {string} Storage key
+ */
+const photoStorageKey = (reportId, photo, variant = 'original') => {
+  const suffix = variant === 'thumbnail' ? '-thumb' : '';
+  return `reports/${photo.storedUnder || reportId}/${photo._id}${suffix}.${photo.extension}`;
+};
+
+/**
+ * Re-encode an uploaded image and store it with a thumbnail.
+ *
+ * Re-encoding drops all EXIF metadata, including GPS coordinates, after
+ * the orientation tag has been applied to the pixels.
+ *
+ * @param {Object} file - Multer file (memory storage)
+ * @param {Object} options
+ * @param {string} options.reportId - Owning flood report id
+ * @param {string} options.uploadedBy - Uploader user id
+ * @returns {Promise<Object>} Photo metadata for FloodReport.photos
+ */
+const storePhoto = async (file, { reportId, uploadedBy }) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw photoError(`${file.originalname} is not a readable image`);
+  }
+
+  const format = PHOTO_FORMATS[metadata.format];
+  if (!format) {
+    throw photoError(`${file.originalname} must be a JPEG, PNG or WebP image`);
+  }
+
+  const original = await sharp(file.buffer)
+    .rotate()
+    .resize(MAX_PHOTO_DIMENSION, MAX_PHOTO_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+    .toFormat(metadata.format)
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(original.data)
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+    .toFormat(metadata.format)
+    .toBuffer();
+
+  const photo = {
+    _id: new mongoose.Types.ObjectId(),
+    originalName: file.originalname,
+    mimeType: format.mimeType,
+    extension: format.extension,
+    size: original.data.length,
+    width: original.info.width,
+    height: original.info.height,
+    uploadedBy,
+  };
+
+  const storage = getStorage();
+  await storage.put(photoStorageKey(reportId, photo), original.data, { contentType: format.mimeType });
+  await storage.put(photoStorageKey(reportId, photo, 'thumbnail'), thumbnail, { contentType: format.mimeType });
+
+  return photo;
+};
+
+/**
+ * Remove a photo and its thumbnail from storage. Failures are logged, not thrown.
+ * @param {string} reportId - Owning flood report id
+ * @param {Object} photo - Photo metadata
+ */
+const deletePhoto = async (reportId, photo) => {
+  const storage = getStorage();
+  try {
+    await storage.delete(photoStorageKey(reportId, photo));
+    await storage.delete(photoStorageKey(reportId, photo, 'thumbnail'));
+  } catch (error) {
+    logger.error('Failed to delete stored photo:', {
+      reportId: reportId.toString(),
+      photoId: photo._id.toString(),
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Store a batch of uploads, rolling back the ones already stored if any fails
+ * @param {Object[]} files - Multer files
+ * @param {Object} options - See storePhoto
+ * @returns {Promise<Object[]>} Photo metadata
+ */
+const storePhotos = async (files = [], options) => {
+  const photos = [];
+  try {
+    for (const file of files) {
+      photos.push(await storePhoto(file, options));
+    }
+    return photos;
+  } catch (error) {
+    await Promise.all(photos.map((photo) => deletePhoto(options.reportId, photo)));
+    throw error;
+  }
+};
+
+export {
+  ALLOWED_PHOTO_MIME_TYPES,
+  photoStorageKey,
+  storePhoto,
+  storePhotos,
+  deletePhoto,
+};
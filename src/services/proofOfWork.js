@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import redisService from './redisService.js';
+import logger from '../utils/logger.js';
+
+const USED_KEY_PREFIX = 'pow:used:';
+
+// Separate key from the one signing JWTs, derived from the same secret
+const signingKey = crypto.createHash('sha256').update(`pow:${config.jwt.secret}`).digest();
+
+const sign = (payload) => crypto.createHmac('sha256', signingKey).update(payload).digest('hex');
+
+const leadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+const challengeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Issue a signed proof-of-work challenge for an anonymous report.
+ * The client must find a nonce where sha256("<challenge>:<nonce>") starts
+ * with `difficulty` zero bits.
+ * @returns {{ challenge: string, difficulty: number, expiresAt: string }}
+ */
+const issueChallenge = () => {
+  const difficulty = config.anonymousReports.powDifficulty;
+  const expiresAt = Date.now() + config.anonymousReports.challengeTtlSeconds * 1000;
+  const payload = `${crypto.randomBytes(16).toString('hex')}.${expiresAt}.${difficulty}`;
+
+  return {
+    challenge: `${payload}.${sign(payload)}`,
+    difficulty,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+};
+
+/**
+ * Check a solved challenge and mark it used
+ * @param {string} challenge - Challenge from issueChallenge
+ * @param {string} nonce - Client's solution
+ * @throws {Error} statusCode 400 when invalid, expired, unsolved or already used
+ */
+const verifyChallenge = async (challenge, nonce) => {
+  const parts = typeof challenge === 'string' ? challenge.split('.') : [];
+  if (parts.length !== 4 || typeof nonce !== 'string' || nonce.length === 0 || nonce.length > 64) {
+    throw challengeError('A solved challenge is required');
+  }
+
+  const [id, expiresAt, difficulty, signature] = parts;
+  const expected = Buffer.from(sign(`${id}.${expiresAt}.${difficulty}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw challengeError('Invalid challenge');
+  }
+
+  const ttlMs = Number(expiresAt) - Date.now();
+  if (!(ttlMs > 0)) {
+    throw challengeError('Challenge expired, request a new one');
+  }
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+  if (leadingZeroBits(hash) < Number(difficulty)) {
+    throw challengeError('Challenge not solved');
+  }
+
+  try {
+    const firstUse = await redisService.setIfAbsent(`${USED_KEY_PREFIX}${id}`, true, Math.ceil(ttlMs / 1000));
+    if (!firstUse) {
+      throw challengeError('Challenge already used, request a new one');
+    }
+  } catch (error) {
+    if (error.statusCode) throw error;
+    // Rate limits still apply; don't block emergency reports on a Redis outage
+    logger.warn('Proof-of-work replay check unavailable', { error: error.message });
+  }
+};
+
+/**
+ * Keyed hash of a client identifier (IP or device id) for abuse tracing
+ * without storing the raw value
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+const fingerprint = (value) => (value
+  ? crypto.createHmac('sha256', signingKey).update(String(value)).digest('hex')
+  : undefined);
+
+export {
+  issueChallenge,
+  verifyChallenge,
+  fingerprint,
+};
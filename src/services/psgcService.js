@@ -0,0 +1,95 @@
+import AdminArea, { ADMIN_LEVELS } from '../models/AdminArea.js';
+import logger from '../utils/logger.js';
+
+// Report list filters and the FloodReport field each one matches
+const PSGC_FILTER_FIELDS = {
+  region: 'psgc.region',
+  province: 'psgc.province',
+  city: 'psgc.city',
+  barangay: 'psgc.barangay',
+};
+
+const PSGC_CODE_PATTERN = /^\d{10}$/;
+
+/**
+ * Report PSGC fields for an AdminArea entry
+ * @param {Object} area - AdminArea with code, level and ancestor codes
+ * @param {string} [source] - submitted or coordinates
+ * @returns {Object} { region, province, city, barangay, source }
+ */
+const toReportPsgc = (area, source) => ({
+  region: area.regionCode,
+  province: area.provinceCode,
+  city: area.cityCode,
+  barangay: area.level === 'barangay' ? area.code : undefined,
+  source,
+});
+
+/**
+ * Report PSGC codes for a submitted code of any level
+ * @param {string} code - 10-digit PSGC code
+ * @returns {Promise<Object>} { region, province, city, barangay, source }
+ * @throws {Error} statusCode 400 when the code is unknown
+ */
+const resolvePsgcCode = async (code) => {
+  const area = PSGC_CODE_PATTERN.test(code)
+    ? await AdminArea.findOne({ code }).select('code level regionCode provinceCode cityCode').lean()
+    : null;
+
+  if (!area) {
+    const error = new Error('Unknown PSGC code');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return toReportPsgc(area, 'submitted');
+};
+
+/**
+ * Report PSGC codes for the smallest stored boundary containing a point.
+ * Returns null when no boundary matches or boundaries haven't been imported.
+ * @param {Object} point - GeoJSON Point
+ * @returns {Promise<Object|null>}
+ */
+const locatePsgc = async (point) => {
+  if (!point) return null;
+
+  try {
+    const areas = await AdminArea.find({
+      boundary: { $geoIntersects: { $geometry: point } },
+    })
+      .select('code level regionCode provinceCode cityCode')
+      .lean();
+
+    if (areas.length === 0) return null;
+
+    const smallest = areas.reduce((best, area) => (
+      ADMIN_LEVELS.indexOf(area.level) > ADMIN_LEVELS.indexOf(best.level) ? area : best
+    ));
+    return toReportPsgc(smallest, 'coordinates');
+  } catch (error) {
+    // Placing a report is best effort; never fail a submission over it
+    logger.warn('PSGC lookup from coordinates failed', { error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Query conditions for region/province/city/barangay code filters
+ * @param {Object} params - Request query
+ * @returns {Object} Mongo filter fragment
+ */
+const buildPsgcFilter = (params) => Object.entries(PSGC_FILTER_FIELDS).reduce((filter, [param, field]) => {
+  const value = params[param];
+  if (typeof value === 'string' && value) filter[field] = value;
+  return filter;
+}, {});
+
+export {
+  PSGC_FILTER_FIELDS,
+  PSGC_CODE_PATTERN,
+  toReportPsgc,
+  resolvePsgcCode,
+  locatePsgc,
+  buildPsgcFilter,
+};
@@ -1,9 +1,11 @@
 import Redis from 'ioredis';
+import crypto from 'crypto';
 import logger from '../utils/logger.js';
 
 class RedisService {
   constructor() {
     this.client = null;
+    this.subscriber = null;
     this.isConnected = false;
     this.initialize();
   }
@@ -93,6 +95,32 @@ class RedisService {
     }
   }
 
+  /**
+   * Set a key only if it doesn't exist yet
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {number} expirySeconds - Expiry
+   * @returns {Promise<boolean>} True when this call set the key
+   */
+  async setIfAbsent(key, value, expirySeconds = 600) {
+    try {
+      if (!this.client) {
+        throw new Error('Redis client not initialized');
+      }
+
+      const result = await this.client.set(key, JSON.stringify(value), 'EX', expirySeconds, 'NX');
+      logger.debug(`Redis setIfAbsent: ${key}`, { set: result === 'OK' });
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Redis setIfAbsent error:', {
+        key,
+        message: error.message,
+        code: error.code
+      });
+      throw error;
+    }
+  }
+
   async get(key) {
     try {
       if (!this.client) {
@@ -130,6 +158,209 @@ class RedisService {
     }
   }
 
+  async increment(key) {
+    try {
+      if (!this.client) {
+        throw new Error('Redis client not initialized');
+      }
+      return await this.client.incr(key);
+    } catch (error) {
+      logger.error('Redis increment error:', {
+        key,
+        message: error.message,
+        code: error.code
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Prepend a value to a capped list
+   * @param {string} key - List key
+   * @param {*} value - JSON-serializable value
+   * @param {number} maxLength - Entries kept, newest first
+   * @param {number} expirySeconds - Expiry of the whole list
+   */
+  async pushToList(key, value, maxLength, expirySeconds = 3600) {
+    try {
+      if (!this.client) {
+        throw new Error('Redis client not initialized');
+      }
+      await this.client
+        .multi()
+        .lpush(key, JSON.stringify(value))
+        .ltrim(key, 0, maxLength - 1)
+        .expire(key, expirySeconds)
+        .exec();
+      return true;
+    } catch (error) {
+      logger.error('Redis list push error:', {
+        key,
+        message: error.message,
+        code: error.code
+      });
+      throw error;
+    }
+  }
+
+  async getList(key) {
+    try {
+      if (!this.client) {
+        throw new Error('Redis client not initialized');
+      }
+      const items = await this.client.lrange(key, 0, -1);
+      return items.map((item) => JSON.parse(item));
+    } catch (error) {
+      logger.error('Redis list read error:', {
+        key,
+        message: error.message,
+        code: error.code
+      });
+      throw error;
+    }
+  }
+
+  async publish(channel, message) {
+    try {
+      if (!this.client) {
+        throw new Error('Redis client not initialized');
+      }
+      await this.client.publish(channel, JSON.stringify(message));
+      return true;
+    } catch (error) {
+      logger.error('Redis publish error:', {
+        channel,
+        message: error.message,
+        code: error.code
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Listen on a pub/sub channel. Uses a dedicated connection, since a
+   * subscribed Redis connection can't run other commands.
+   * @param {string} channel - Channel name
+   * @param {Function} handler - Called with each parsed message
+   */
+  async subscribe(channel, handler) {
+    try {
+      if (!this.client) {
+        throw new Error('Redis client not initialized');
+      }
+
+      if (!this.subscriber) {
+        this.subscriber = this.client.duplicate();
+        this.subscriber.on('error', (error) => {
+          logger.error('Redis subscriber error:', {
+            message: error.message,
+            code: error.code
+          });
+        });
+      }
+
+      this.subscriber.on('message', (receivedChannel, message) => {
+        if (receivedChannel !== channel) return;
+        try {
+          handler(JSON.parse(message));
+        } catch (error) {
+          logger.error('Redis message handler error:', {
+            channel,
+            message: error.message
+          });
+        }
+      });
+
+      await this.subscriber.subscribe(channel);
+      logger.info(`Redis subscribed: ${channel}`);
+      return true;
+    } catch (error) {
+      logger.error('Redis subscribe error:', {
+        channel,
+        message: error.message,
+        code: error.code
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Try to take a distributed lock
+   * @param {string} key - Lock key
+   * @param {number} ttlMs - Lock expiry, so a crashed holder can't block others forever
+   * @returns {Promise<string|null>} Lock token when acquired, null when held elsewhere
+   */
+  async acquireLock(key, ttlMs) {
+    try {
+      if (!this.client) {
+        throw new Error('Redis client not initialized');
+      }
+
+      const token = crypto.randomUUID();
+      const result = await this.client.set(key, token, 'PX', ttlMs, 'NX');
+      logger.debug(`Redis lock ${result === 'OK' ? 'acquired' : 'busy'}: ${key}`);
+      return result === 'OK' ? token : null;
+    } catch (error) {
+      logger.error('Redis lock error:', {
+        key,
+        message: error.message,
+        code: error.code
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Release a lock taken with acquireLock, only if this caller still holds it
+   * @param {string} key - Lock key
+   * @param {string} token - Token returned by acquireLock
+   */
+  async releaseLock(key, token) {
+    try {
+      if (!this.client) {
+        throw new Error('Redis client not initialized');
+      }
+
+      const script = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+      const released = await this.client.eval(script, 1, key, token);
+      logger.debug(`Redis lock released: ${key}`, { released: released === 1 });
+      return released === 1;
+    } catch (error) {
+      logger.error('Redis unlock error:', {
+        key,
+        message: error.message,
+        code: error.code
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Push back the expiry of a lock taken with acquireLock, only if this caller still holds it
+   * @param {string} key - Lock key
+   * @param {string} token - Token returned by acquireLock
+   * @param {number} ttlMs - New expiry from now
+   * @returns {Promise<boolean>} false when the lock expired or is held elsewhere
+   */
+  async extendLock(key, token, ttlMs) {
+    try {
+      if (!this.client) {
+        throw new Error('Redis client not initialized');
+      }
+
+      const script = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+      const extended = await this.client.eval(script, 1, key, token, ttlMs);
+      return extended === 1;
+    } catch (error) {
+      logger.error('Redis lock extend error:', {
+        key,
+        message: error.message,
+        code: error.code
+      });
+      throw error;
+    }
+  }
+
   async health() {
     try {
       if (!this.client) {
@@ -0,0 +1,121 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import redisService from './redisService.js';
+import logger from '../utils/logger.js';
+
+const CHANNEL = 'report-events';
+const SEQUENCE_KEY = 'report-events:seq';
+const LOG_KEY = 'report-events:log';
+const LOG_LENGTH = 1000;
+const LOG_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Fan-out of flood report events across server instances.
+ *
+ * Listeners:
+ *   'event' - every event, from this or any other instance (live feeds)
+ *   'local' - events that originated on this instance only (side effects
+ *             such as notifications, so they run exactly once)
+ *
+ * Events look like { id, type, reportId, report, previousStatus, trustRaised, createdAt },
+ * where type is created, updated, resolved or deleted and id increases across instances
+ * (null when Redis was unavailable to number the event).
+ * trustRaised is set when the change lifted an anonymous report out of low trust.
+ */
+class ReportEventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // one listener per open SSE/WebSocket client
+    this.instanceId = crypto.randomUUID();
+    this.subscribed = false;
+  }
+
+  async ensureSubscribed() {
+    if (this.subscribed) return;
+    this.subscribed = true;
+
+    try {
+      await redisService.subscribe(CHANNEL, ({ origin, event }) => {
+        if (origin === this.instanceId) return;
+        this.emit('event', event);
+      });
+    } catch (error) {
+      this.subscribed = false;
+      logger.warn('Report events running without Redis fan-out', { error: error.message });
+    }
+  }
+
+  async nextId() {
+    try {
+      return await redisService.increment(SEQUENCE_KEY);
+    } catch (error) {
+      // Without Redis the event has no id, so a client's Last-Event-ID is
+      // always one from the shared sequence
+      return null;
+    }
+  }
+
+  /**
+   * Publish a report event
+   * @param {string} type - created, updated, resolved or deleted
+   * @param {Object} report - FloodReport document or plain object
+   * @param {Object} [meta] - { previousStatus, trustRaised }
+   * @returns {Promise<Object>} The event
+   */
+  async publish(type, report, { previousStatus, trustRaised } = {}) {
+    const data = typeof report.toJSON === 'function' ? report.toJSON() : report;
+
+    const event = {
+      id: await this.nextId(),
+      type,
+      reportId: data._id.toString(),
+      report: data,
+      previousStatus,
+      trustRaised: trustRaised || undefined,
+      createdAt: new Date().toISOString(),
+    };
+
+    this.emit('event', event);
+    this.emit('local', event);
+
+    try {
+      await redisService.pushToList(LOG_KEY, event, LOG_LENGTH, LOG_TTL_SECONDS);
+      await redisService.publish(CHANNEL, { origin: this.instanceId, event });
+    } catch (error) {
+      logger.warn('Failed to fan out report event', { type, reportId: event.reportId, error: error.message });
+    }
+
+    return event;
+  }
+
+  /**
+   * Publish a change to an existing report, as resolved when it just got resolved
+   * @param {Object} report - FloodReport document after the change
+   * @param {string} previousStatus - Status before the change
+   * @param {Object} [meta] - { trustRaised }
+   */
+  publishChange(report, previousStatus, { trustRaised } = {}) {
+    const type = report.status === 'resolved' && previousStatus !== 'resolved' ? 'resolved' : 'updated';
+    return this.publish(type, report, { previousStatus, trustRaised });
+  }
+
+  /**
+   * Events published after a given id, oldest first, for Last-Event-ID replay
+   * @param {number} lastEventId - Last id the client saw
+   * @returns {Promise<Object[]>}
+   */
+  async replaySince(lastEventId) {
+    try {
+      const events = await redisService.getList(LOG_KEY);
+      return events.filter((event) => event.id > lastEventId).reverse();
+    } catch (error) {
+      logger.warn('Report event replay unavailable', { error: error.message });
+      return [];
+    }
+  }
+}
+
+// Create singleton instance
+const reportEvents = new ReportEventBus();
+
+export default reportEvents;
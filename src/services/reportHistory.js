@@ -0,0 +1,101 @@
+import ReportRevision from '../models/ReportRevision.js';
+import logger from '../utils/logger.js';
+
+// Report fields whose changes are recorded in the revision history
+const TRACKED_FIELDS = [
+  'severity',
+  'status',
+  'location',
+  'description',
+  'latitude',
+  'longitude',
+  'waterLevel.depthCm',
+  'waterLevel.reference',
+  'verified',
+  'trustLevel',
+  'flaggedForReview',
+  'psgc.region',
+  'psgc.province',
+  'psgc.city',
+  'psgc.barangay',
+  'mergedInto',
+  'deletedAt',
+];
+
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+/**
+ * Capture the tracked fields of a report so they can be diffed after a change
+ * @param {Object} report - FloodReport document or plain object
+ * @returns {Object} Map of field path to value
+ */
+const snapshotReport = (report) => {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach((field) => {
+    const value = typeof report.get === 'function'
+      ? report.get(field)
+      : field.split('.').reduce((current, key) => current?.[key], report);
+    snapshot[field] = normalizeValue(value);
+  });
+  return snapshot;
+};
+
+/**
+ * Compare two snapshots
+ * @param {Object} before - Snapshot taken before the change
+ * @param {Object} after - Snapshot taken after the change
+ * @returns {Object[]} Changes as { field, from, to }
+ */
+const diffSnapshots = (before, after) => TRACKED_FIELDS
+  .filter((field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+  .map((field) => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+/**
+ * Record a revision for a report change
+ * @param {Object} report - FloodReport document after the change
+ * @param {Object} before - Snapshot taken before the change ({} for a new report)
+ * @param {Object} options
+ * @param {string} options.action - What happened (create, status, verify, ...)
+ * @param {string} options.actor - User id, or "system"
+ * @param {string} [options.actorRole] - Role of the actor at the time
+ * @param {string} [options.reason] - Optional explanation
+ * @param {boolean} [options.always] - Record even when no tracked field changed
+ * @returns {Promise<Object|null>} The revision, or null when nothing changed
+ */
+const recordRevision = async (report, before, { action, actor, actorRole, reason, always = action === 'create' }) => {
+  const changes = diffSnapshots(before, snapshotReport(report));
+
+  if (changes.length === 0 && !always) {
+    return null;
+  }
+
+  try {
+    return await ReportRevision.create({
+      report: report._id,
+      action,
+      changes,
+      actor,
+      actorRole,
+      reason,
+    });
+  } catch (error) {
+    // The report change itself already succeeded; don't fail the request
+    logger.error('Failed to record report revision:', {
+      reportId: report._id.toString(),
+      action,
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+export {
+  TRACKED_FIELDS,
+  snapshotReport,
+  diffSnapshots,
+  recordRevision,
+};
@@ -0,0 +1,116 @@
+import config from '../config/config.js';
+import FloodReport from '../models/FloodReport.js';
+import { snapshotReport, recordRevision } from './reportHistory.js';
+import { SYSTEM_ROLES, applyStatusTransition } from './reportStatus.js';
+import reportEvents from './reportEvents.js';
+import logger from '../utils/logger.js';
+
+const BATCH_SIZE = 200;
+
+// Reports with no activity since the cutoff. Older reports may predate
+// lastActivityAt, so fall back to createdAt for those.
+const inactiveSince = (cutoff) => ({
+  $or: [
+    { lastActivityAt: { $lt: cutoff } },
+    { lastActivityAt: null, createdAt: { $lt: cutoff } },
+  ],
+});
+
+/**
+ * Move inactive reports from one status to another, recording a revision for each.
+ * A report that fails is logged and skipped for the rest of the run, so it
+ * can't hold up the reports behind it.
+ * @param {string[]} fromStatuses - Statuses eligible for the transition
+ * @param {string} toStatus - New status
+ * @param {number} inactiveMs - Required inactivity in milliseconds
+ * @param {string} reason - Revision reason
+ * @returns {Promise<number>} Number of reports transitioned
+ */
+const transitionInactiveReports = async (fromStatuses, toStatus, inactiveMs, reason) => {
+  const filter = {
+    status: { $in: fromStatuses },
+    mergedInto: null,
+    deletedAt: null,
+    ...inactiveSince(new Date(Date.now() - inactiveMs)),
+  };
+
+  let transitioned = 0;
+  const failed = [];
+  let batch;
+  do {
+    batch = await FloodReport.find({ ...filter, _id: { $nin: failed } })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const report of batch) {
+      try {
+        const before = snapshotReport(report);
+        const previousStatus = report.status;
+        applyStatusTransition(report, toStatus, SYSTEM_ROLES);
+        await report.save();
+        await recordRevision(report, before, { action: 'status', actor: 'system', reason });
+        reportEvents.publishChange(report, previousStatus);
+        transitioned += 1;
+      } catch (error) {
+        failed.push(report._id);
+        logger.error('Report lifecycle transition failed:', {
+          reportId: report._id.toString(),
+          toStatus,
+          error: error.message,
+        });
+      }
+    }
+  } while (batch.length === BATCH_SIZE);
+
+  return transitioned;
+};
+
+/**
+ * Mark quiet active or receding reports as stale, then auto-resolve
+ * long-inactive ones (including submitted reports nobody confirmed)
+ * @returns {Promise<Object>} { stale, resolved } counts
+ */
+const runReportLifecycle = async () => {
+  const resolved = await transitionInactiveReports(
+    ['submitted', 'active', 'receding', 'stale'],
+    'resolved',
+    config.reports.resolveAfterMs,
+    'Auto-resolved after a period with no updates or confirmations'
+  );
+
+  const stale = await transitionInactiveReports(
+    ['active', 'receding'],
+    'stale',
+    config.reports.staleAfterMs,
+    'Marked stale after a period with no updates or confirmations'
+  );
+
+  if (stale > 0 || resolved > 0) {
+    logger.info('Report lifecycle run complete', { stale, resolved });
+  }
+
+  return { stale, resolved };
+};
+
+/**
+ * Bring a stale report back to active after new activity
+ * @param {Object} report - FloodReport document
+ * @param {Object} actor - { actor, actorRole, reason }
+ * @param {string[]} [fromStatuses] - Statuses to activate from; confirmations
+ *   also approve submitted reports
+ * @returns {Promise<boolean>} Whether the report was reactivated
+ */
+const reactivateStaleReport = async (report, { actor, actorRole, reason }, fromStatuses = ['stale']) => {
+  if (!fromStatuses.includes(report.status)) return false;
+
+  const before = snapshotReport(report);
+  applyStatusTransition(report, 'active', SYSTEM_ROLES);
+  await report.save();
+  await recordRevision(report, before, { action: 'status', actor, actorRole, reason });
+  return true;
+};
+
+export {
+  runReportLifecycle,
+  reactivateStaleReport,
+};
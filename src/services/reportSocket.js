@@ -0,0 +1,214 @@
+import crypto from 'crypto';
+import { WebSocketServer } from 'ws';
+import { authenticateToken } from '../middleware/auth.js';
+import reportEvents from './reportEvents.js';
+import { PSGC_CODE_PATTERN } from './psgcService.js';
+import { parseBbox, pointInBbox, distanceMeters } from '../utils/geo.js';
+import logger from '../utils/logger.js';
+
+const SOCKET_PATH = '/api/flood-reports/ws';
+const HEARTBEAT_INTERVAL_MS = 30000;
+const MAX_SUBSCRIPTIONS = 20;
+const MAX_RADIUS_METERS = 50000;
+const MAX_MESSAGE_BYTES = 16 * 1024;
+// Stop sending to a client once this much is queued, and drop it after too many skipped events
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+const MAX_DROPPED_EVENTS = 100;
+
+/**
+ * Validate a subscription area sent by a client
+ * @param {Object} area - { bbox: "minLng,minLat,maxLng,maxLat" | number[] }
+ *   | { center: [lng, lat], radius } | { barangay: PSGC code or name }
+ * @returns {Object|null} Normalized area, or null when invalid
+ */
+const parseArea = (area) => {
+  if (!area || typeof area !== 'object') return null;
+
+  if (area.bbox !== undefined) {
+    const bbox = parseBbox(Array.isArray(area.bbox) ? area.bbox.join(',') : area.bbox);
+    return bbox ? { bbox } : null;
+  }
+
+  if (area.center !== undefined) {
+    const [lng, lat] = Array.isArray(area.center) ? area.center.map(Number) : [];
+    const radius = Number(area.radius);
+    const valid = Number.isFinite(lng) && Math.abs(lng) <= 180
+      && Number.isFinite(lat) && Math.abs(lat) <= 90
+      && Number.isFinite(radius) && radius > 0 && radius <= MAX_RADIUS_METERS;
+    return valid ? { center: [lng, lat], radius } : null;
+  }
+
+  if (typeof area.barangay === 'string' && area.barangay.trim().length >= 2) {
+    return { barangay: area.barangay.trim().slice(0, 100) };
+  }
+
+  return null;
+};
+
+const areaMatches = (area, report) => {
+  const coordinates = report.geo?.coordinates;
+
+  if (area.bbox) return pointInBbox(coordinates, area.bbox);
+  if (area.center) return Boolean(coordinates) && distanceMeters(area.center, coordinates) <= area.radius;
+  if (area.barangay) {
+    // A PSGC code matches the tagged barangay; a name falls back to the free-text location
+    if (PSGC_CODE_PATTERN.test(area.barangay)) return report.psgc?.barangay === area.barangay;
+    return typeof report.location === 'string'
+      && report.location.toLowerCase().includes(area.barangay.toLowerCase());
+  }
+  return false;
+};
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const handleMessage = (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return send(socket, { type: 'error', message: 'Messages must be JSON' });
+  }
+
+  switch (message?.type) {
+    case 'subscribe': {
+      if (socket.subscriptions.size >= MAX_SUBSCRIPTIONS) {
+        return send(socket, { type: 'error', message: `At most ${MAX_SUBSCRIPTIONS} subscriptions per connection` });
+      }
+
+      const area = parseArea(message.area);
+      if (!area) {
+        return send(socket, { type: 'error', message: 'Invalid area. Use bbox, center + radius, or barangay' });
+      }
+
+      const subscriptionId = crypto.randomUUID();
+      socket.subscriptions.set(subscriptionId, area);
+      return send(socket, { type: 'subscribed', subscriptionId, area, requestId: message.requestId });
+    }
+
+    case 'unsubscribe': {
+      const removed = socket.subscriptions.delete(message.subscriptionId);
+      return send(socket, removed
+        ? { type: 'unsubscribed', subscriptionId: message.subscriptionId }
+        : { type: 'error', message: 'Unknown subscription' });
+    }
+
+    case 'ping':
+      return send(socket, { type: 'pong' });
+
+    default:
+      return send(socket, { type: 'error', message: 'Unknown message type' });
+  }
+};
+
+// Deliver a report event to every connection with a matching subscription
+const broadcast = (wss, event) => {
+  wss.clients.forEach((socket) => {
+    const matched = [...socket.subscriptions]
+      .filter(([, area]) => areaMatches(area, event.report))
+      .map(([subscriptionId]) => subscriptionId);
+
+    if (matched.length === 0) return;
+
+    if (socket.bufferedAmount > MAX_BUFFERED_BYTES) {
+      socket.droppedEvents += 1;
+      if (socket.droppedEvents > MAX_DROPPED_EVENTS) {
+        logger.warn('Closing slow report socket', { userId: socket.userId });
+        socket.close(1013, 'Client too slow');
+      }
+      return;
+    }
+
+    socket.droppedEvents = 0;
+    send(socket, { type: 'report', subscriptions: matched, event });
+  });
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Attach the report WebSocket endpoint to an HTTP server.
+ *
+ * Clients authenticate with the same JWT as the REST API, either as an
+ * `Authorization: Bearer` header or a `token` query parameter, then send
+ * JSON messages: subscribe { area }, unsubscribe { subscriptionId } and ping.
+ *
+ * @param {http.Server} server - Server returned by app.listen
+ * @returns {WebSocketServer}
+ */
+const attachReportSocket = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== SOCKET_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    const token = req.headers.authorization?.replace('Bearer ', '') || url.searchParams.get('token');
+    if (!token) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    let user;
+    try {
+      ({ user } = await authenticateToken(token));
+    } catch (error) {
+      user = null;
+    }
+    if (!user) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.userId = user._id.toString();
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  wss.on('connection', (socket) => {
+    socket.subscriptions = new Map();
+    socket.droppedEvents = 0;
+    socket.isAlive = true;
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', (raw) => handleMessage(socket, raw.toString()));
+    socket.on('error', (error) => {
+      logger.warn('Report socket error', { userId: socket.userId, error: error.message });
+    });
+
+    send(socket, { type: 'welcome', maxSubscriptions: MAX_SUBSCRIPTIONS });
+  });
+
+  // Terminate connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  const onEvent = (event) => broadcast(wss, event);
+  reportEvents.on('event', onEvent);
+  reportEvents.ensureSubscribed();
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    reportEvents.off('event', onEvent);
+  });
+
+  logger.info(`Report WebSocket listening on ${SOCKET_PATH}`);
+  return wss;
+};
+
+export { attachReportSocket, SOCKET_PATH };
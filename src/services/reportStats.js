@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import FloodReport from '../models/FloodReport.js';
+import AdminArea from '../models/AdminArea.js';
+import redisService from './redisService.js';
+import { buildPsgcFilter } from './psgcService.js';
+import { formatCityName } from './geocodingService.js';
+import { parseSeverities } from '../utils/reportQuery.js';
+import logger from '../utils/logger.js';
+
+const BUCKET_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+// Longest range per bucket size, to keep responses and aggregations small
+const MAX_RANGE_MS = {
+  hour: 14 * BUCKET_MS.day,
+  day: 366 * BUCKET_MS.day,
+};
+
+// Default range when "from" is omitted
+const DEFAULT_RANGE_MS = {
+  hour: BUCKET_MS.day,
+  day: 30 * BUCKET_MS.day,
+};
+
+const GROUP_FIELDS = {
+  severity: '$severity',
+  status: '$status',
+  city: '$psgc.city',
+};
+
+const CACHE_PREFIX = 'stats:timeseries:';
+
+// UTC offset of a time zone at a given instant, in milliseconds
+const zoneOffsetMs = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+  const local = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Start of the bucket containing a date, matching $dateTrunc in the same zone.
+// Buckets are stepped in fixed lengths, so zones with DST can be an hour off
+// around the switch.
+const bucketStart = (date, bucket, timeZone) => {
+  const offset = zoneOffsetMs(date, timeZone);
+  const local = date.getTime() + offset;
+  return local - (local % BUCKET_MS[bucket]) - offset;
+};
+
+/**
+ * Validate and default a stats date range
+ * @param {Object} params - { from, to, bucket }
+ * @returns {{ from: Date, to: Date }|{ error: string }}
+ */
+const resolveRange = ({ from, to, bucket }) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_MS[bucket]);
+
+  if (start >= end) return { error: '"from" must be before "to"' };
+  if (end - start > MAX_RANGE_MS[bucket]) {
+    return { error: `Range too long for ${bucket} buckets (max ${MAX_RANGE_MS[bucket] / BUCKET_MS.day} days)` };
+  }
+  return { from: start, to: end };
+};
+
+const cityLabels = async (codes) => {
+  const known = codes.filter(Boolean);
+  if (known.length === 0) return new Map();
+
+  const cities = await AdminArea.find({ code: { $in: known } }).select('code name').lean();
+  return new Map(cities.map((city) => [city.code, formatCityName(city.name)]));
+};
+
+const computeTimeseries = async ({ bucket, groupBy, from, to, ...filters }) => {
+  const { timezone } = config.stats;
+
+  const match = {
+    mergedInto: null,
+    deletedAt: null,
+    // Unconfirmed anonymous reports aren't counted, as in the report lists
+    trustLevel: { $ne: 'low' },
+    createdAt: { $gte: from, $lt: to },
+    ...buildPsgcFilter(filters),
+  };
+  const severities = parseSeverities(filters.severity);
+  if (severities) match.severity = { $in: severities };
+  if (typeof filters.status === 'string' && filters.status) match.status = filters.status;
+
+  const rows = await FloodReport.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          start: { $dateTrunc: { date: '$createdAt', unit: bucket, timezone } },
+          group: groupBy ? { $ifNull: [GROUP_FIELDS[groupBy], null] } : null,
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  // One entry per bucket in the range, including empty ones
+  const buckets = new Map();
+  for (let start = bucketStart(from, bucket, timezone); start < to.getTime(); start += BUCKET_MS[bucket]) {
+    buckets.set(start, { start: new Date(start).toISOString(), total: 0, ...(groupBy && { groups: {} }) });
+  }
+
+  const groupTotals = new Map();
+  for (const { _id, count } of rows) {
+    const entry = buckets.get(new Date(_id.start).getTime());
+    if (!entry) continue;
+
+    entry.total += count;
+    if (groupBy) {
+      const key = _id.group ?? 'unknown';
+      entry.groups[key] = (entry.groups[key] || 0) + count;
+      groupTotals.set(key, (groupTotals.get(key) || 0) + count);
+    }
+  }
+
+  const series = [...buckets.values()];
+  const result = {
+    bucket,
+    groupBy: groupBy || null,
+    timezone,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    total: series.reduce((sum, entry) => sum + entry.total, 0),
+    series,
+  };
+
+  if (groupBy) {
+    const labels = groupBy === 'city' ? await cityLabels([...groupTotals.keys()]) : new Map();
+    result.groups = [...groupTotals.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([key, total]) => ({ key, label: labels.get(key) || key, total }));
+  }
+
+  return result;
+};
+
+/**
+ * Report counts per hour or day over a date range, optionally grouped by
+ * severity, status or city. Cached in Redis for a short time.
+ * @param {Object} params - Request query: bucket, groupBy, from, to, plus
+ *   severity (comma-separated)/status/region/province/city/barangay filters
+ * @returns {Promise<{ data: Object, cached: boolean }|{ error: string }>}
+ */
+const getReportTimeseries = async (params) => {
+  const bucket = params.bucket || 'hour';
+  const range = resolveRange({ ...params, bucket });
+  if (range.error) return range;
+
+  // Key on the request as sent, so an open-ended range ("to" = now) is reused for the TTL
+  const cacheKey = CACHE_PREFIX + crypto.createHash('sha1').update(JSON.stringify([
+    bucket, params.groupBy, params.from, params.to, params.severity, params.status,
+    params.region, params.province, params.city, params.barangay,
+  ])).digest('hex');
+
+  try {
+    const cached = await redisService.get(cacheKey);
+    if (cached) return { data: cached, cached: true };
+  } catch (error) {
+    logger.debug('Stats cache unavailable', { error: error.message });
+  }
+
+  const data = await computeTimeseries({ ...params, bucket, from: range.from, to: range.to });
+
+  redisService.set(cacheKey, data, config.stats.cacheTtlSeconds).catch(() => {});
+
+  return { data, cached: false };
+};
+
+export {
+  GROUP_FIELDS,
+  getReportTimeseries,
+};
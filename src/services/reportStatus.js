@@ -0,0 +1,125 @@
+import { REPORT_STATUSES } from '../models/FloodReport.js';
+
+/**
+ * Flood report lifecycle
+ *
+ *   submitted -> active -> receding -> resolved -> archived
+ *
+ * Anonymous reports start as submitted until a moderator approves them or a
+ * registered user confirms them. stale is entered and left by the system
+ * only, and false_report can be reached from any open status. archived is
+ * final; merged duplicates end up there.
+ *
+ * Roles: owner (the reporter), moderator, admin, and system for automated
+ * changes (lifecycle job, confirmations, follow-up updates, merges).
+ */
+const STATUS_TRANSITIONS = {
+  submitted: {
+    active: ['moderator', 'admin', 'system'],
+    resolved: ['system'],
+    false_report: ['moderator', 'admin'],
+    archived: ['admin', 'system'],
+  },
+  active: {
+    receding: ['owner', 'moderator', 'admin'],
+    resolved: ['owner', 'moderator', 'admin', 'system'],
+    false_report: ['owner', 'moderator', 'admin'],
+    stale: ['system'],
+    archived: ['admin', 'system'],
+  },
+  receding: {
+    active: ['owner', 'moderator', 'admin'],
+    resolved: ['owner', 'moderator', 'admin', 'system'],
+    false_report: ['moderator', 'admin'],
+    stale: ['system'],
+    archived: ['admin', 'system'],
+  },
+  stale: {
+    active: ['moderator', 'admin', 'system'],
+    resolved: ['owner', 'moderator', 'admin', 'system'],
+    false_report: ['moderator', 'admin'],
+    archived: ['admin', 'system'],
+  },
+  resolved: {
+    active: ['owner', 'moderator', 'admin'],
+    false_report: ['moderator', 'admin'],
+    archived: ['admin', 'system'],
+  },
+  false_report: {
+    active: ['moderator', 'admin'],
+    archived: ['admin', 'system'],
+  },
+  archived: {},
+};
+
+const SYSTEM_ROLES = ['system'];
+
+const transitionError = (message, statusCode, allowedStatuses) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.allowedStatuses = allowedStatuses;
+  return error;
+};
+
+/**
+ * Transition roles a user holds on a report
+ * @param {Object} report - FloodReport document
+ * @param {Object} user - User document
+ * @returns {string[]} e.g. ['owner'] or ['moderator']
+ */
+const actorRoles = (report, user) => {
+  const roles = [];
+  if (String(report.reportedBy) === user._id.toString()) roles.push('owner');
+  if (user.role === 'moderator' || user.role === 'admin') roles.push(user.role);
+  return roles;
+};
+
+/**
+ * Statuses a report can move to from its current one, for the given roles
+ * @param {string} status - Current status
+ * @param {string[]} roles - From actorRoles, or SYSTEM_ROLES
+ * @returns {string[]}
+ */
+const allowedTransitions = (status, roles) => Object.entries(STATUS_TRANSITIONS[status] || {})
+  .filter(([, allowed]) => allowed.some((role) => roles.includes(role)))
+  .map(([next]) => next);
+
+/**
+ * Move a report to a new status if the lifecycle and the actor's roles allow
+ * it. Only sets the status; the caller saves and records the revision.
+ * @param {Object} report - FloodReport document
+ * @param {string} status - Target status
+ * @param {string[]} roles - From actorRoles, or SYSTEM_ROLES
+ * @throws {Error} statusCode 400 for an unknown status, 409 when the lifecycle
+ *   has no such transition, 403 when the roles may not make it; allowedStatuses
+ *   lists what the roles could do instead
+ */
+const applyStatusTransition = (report, status, roles) => {
+  const from = report.status;
+  const allowedStatuses = allowedTransitions(from, roles);
+
+  if (!REPORT_STATUSES.includes(status)) {
+    throw transitionError('Invalid status value', 400, allowedStatuses);
+  }
+  if (status === from) {
+    throw transitionError(`Report is already ${status}`, 409, allowedStatuses);
+  }
+
+  const permitted = STATUS_TRANSITIONS[from]?.[status];
+  if (!permitted) {
+    throw transitionError(`Cannot change status from ${from} to ${status}`, 409, allowedStatuses);
+  }
+  if (!permitted.some((role) => roles.includes(role))) {
+    throw transitionError(`Not authorized to change status from ${from} to ${status}`, 403, allowedStatuses);
+  }
+
+  report.status = status;
+};
+
+export {
+  STATUS_TRANSITIONS,
+  SYSTEM_ROLES,
+  actorRoles,
+  allowedTransitions,
+  applyStatusTransition,
+};
@@ -0,0 +1,32 @@
+import config from '../../config/config.js';
+import LocalDiskStorage from './localDiskStorage.js';
+
+/**
+ * Storage backends for uploaded files.
+ *
+ * A backend is any object implementing:
+ *   put(key, buffer, { contentType })  -> Promise<{ key, size }>
+ *   exists(key)                         -> Promise<boolean>
+ *   getStream(key)                      -> Promise<Readable|null>
+ *   delete(key)                         -> Promise<boolean>
+ *
+ * Register new backends (e.g. S3) here and select them with STORAGE_DRIVER.
+ */
+const drivers = {
+  local: () => new LocalDiskStorage(config.uploads.dir),
+};
+
+let storage = null;
+
+export const getStorage = () => {
+  if (!storage) {
+    const createDriver = drivers[config.uploads.driver];
+    if (!createDriver) {
+      throw new Error(`Unknown storage driver: ${config.uploads.driver}`);
+    }
+    storage = createDriver();
+  }
+  return storage;
+};
+
+export default getStorage;
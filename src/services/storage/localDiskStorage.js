@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Stores objects as files under a root directory on the local disk.
+ * Suitable for single-instance deployments and development.
+ */
+class LocalDiskStorage {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolveKey(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    // Keys are generated server-side, but never let one escape the root
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return { key, size: buffer.length };
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolveKey(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async getStream(key) {
+    if (!(await this.exists(key))) {
+      return null;
+    }
+    return fs.createReadStream(this.resolveKey(key));
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return true;
+  }
+}
+
+export default LocalDiskStorage;
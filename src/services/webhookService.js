@@ -0,0 +1,264 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import reportEvents from './reportEvents.js';
+import logger from '../utils/logger.js';
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// Report fields sent to partners; reporter identity stays internal
+const PAYLOAD_FIELDS = [
+  '_id', 'severity', 'status', 'location', 'latitude', 'longitude', 'waterLevel',
+  'description', 'verified', 'anonymous', 'trustLevel', 'confirmCount', 'disputeCount',
+  'psgc', 'createdAt', 'updatedAt',
+];
+
+let started = false;
+
+/**
+ * Generate a new webhook signing secret
+ * @returns {string}
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * HMAC-SHA256 signature over "<timestamp>.<body>", hex encoded
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds, also sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string}
+ */
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Delay before the next attempt: base, 2x base, 4x base, ... capped at 6 hours
+ * @param {number} attemptCount - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+const retryDelayMs = (attemptCount) => Math.min(
+  config.webhooks.retryBaseMs * 2 ** (attemptCount - 1),
+  MAX_RETRY_DELAY_MS,
+);
+
+// A claimed delivery is not picked up again until the attempt had time to finish
+const claimUntil = () => new Date(Date.now() + config.webhooks.timeoutMs * 2);
+
+const buildPayload = (eventName, event) => {
+  const report = PAYLOAD_FIELDS.reduce((fields, field) => {
+    if (event.report[field] !== undefined) fields[field] = event.report[field];
+    return fields;
+  }, {});
+
+  return JSON.stringify({
+    event: eventName,
+    eventId: event.id,
+    occurredAt: event.createdAt,
+    previousStatus: event.previousStatus,
+    report,
+  });
+};
+
+/**
+ * POST a delivery to its webhook once and record the outcome
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object} webhook - Webhook document including its secret
+ * @returns {Promise<Object>} Updated delivery
+ */
+const attemptDelivery = async (delivery, webhook) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = { attemptedAt: new Date(startedAt) };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'FloodWatch-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        [SIGNATURE_HEADER]: `sha256=${signPayload(webhook.secret, timestamp, delivery.payload)}`,
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+    });
+    await response.body?.cancel();
+
+    attempt.statusCode = response.status;
+    if (!response.ok) attempt.error = `HTTP ${response.status}`;
+  } catch (error) {
+    attempt.error = (error.name === 'TimeoutError' ? 'Timed out' : error.message).slice(0, 500);
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  const attemptCount = delivery.attemptCount + 1;
+  const succeeded = !attempt.error;
+  const exhausted = !succeeded && attemptCount >= config.webhooks.maxAttempts;
+
+  const update = {
+    $push: { attempts: attempt },
+    $set: { attemptCount },
+  };
+  if (succeeded) {
+    update.$set.status = 'success';
+    update.$set.deliveredAt = attempt.attemptedAt;
+    update.$unset = { nextAttemptAt: 1 };
+  } else if (exhausted) {
+    update.$set.status = 'failed';
+    update.$unset = { nextAttemptAt: 1 };
+  } else {
+    update.$set.nextAttemptAt = new Date(Date.now() + retryDelayMs(attemptCount));
+  }
+
+  const updated = await WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+
+  if (succeeded || exhausted) {
+    await Webhook.updateOne({ _id: webhook._id }, {
+      lastDeliveryAt: attempt.attemptedAt,
+      lastDeliveryStatus: succeeded ? 'success' : 'failed',
+    });
+  }
+
+  if (!succeeded) {
+    logger.warn('Webhook delivery attempt failed', {
+      webhookId: webhook._id,
+      deliveryId: delivery._id,
+      attempt: attemptCount,
+      error: attempt.error,
+      willRetry: !exhausted,
+    });
+  }
+
+  return updated;
+};
+
+/**
+ * Create deliveries for every active webhook subscribed to an event and try them
+ * @param {string} eventName - One of WEBHOOK_EVENTS
+ * @param {Object} event - Report event from reportEvents
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const dispatchEvent = async (eventName, event) => {
+  const webhooks = await Webhook.find({
+    active: true,
+    events: eventName,
+    $or: [
+      { severities: { $size: 0 } },
+      { severities: event.report.severity },
+    ],
+  }).select('+secret');
+
+  if (webhooks.length === 0) return 0;
+
+  const payload = buildPayload(eventName, event);
+
+  await Promise.allSettled(webhooks.map(async (webhook) => {
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event: eventName,
+      report: event.reportId,
+      payload,
+      nextAttemptAt: claimUntil(),
+    });
+    await attemptDelivery(delivery, webhook);
+  }));
+
+  return webhooks.length;
+};
+
+/**
+ * Retry pending deliveries whose backoff has elapsed. Claims are atomic,
+ * so this can run on every instance at once.
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+const processDueDeliveries = async () => {
+  let attempted = 0;
+
+  while (attempted < BATCH_SIZE) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { nextAttemptAt: claimUntil() } },
+      { sort: { nextAttemptAt: 1 }, new: true },
+    );
+    if (!delivery) break;
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!webhook || !webhook.active) {
+      await WebhookDelivery.updateOne({ _id: delivery._id }, {
+        $set: { status: 'failed' },
+        $unset: { nextAttemptAt: 1 },
+        $push: { attempts: { attemptedAt: new Date(), error: 'Webhook removed or disabled' } },
+      });
+      continue;
+    }
+
+    await attemptDelivery(delivery, webhook);
+    attempted += 1;
+  }
+
+  return attempted;
+};
+
+/**
+ * Send a delivery again right away, starting a fresh retry cycle if it fails
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object} webhook - Webhook document including its secret
+ * @returns {Promise<Object>} Updated delivery
+ */
+const redeliver = async (delivery, webhook) => {
+  const claimed = await WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id },
+    { $set: { status: 'pending', attemptCount: 0, nextAttemptAt: claimUntil() } },
+    { new: true },
+  );
+  return attemptDelivery(claimed, webhook);
+};
+
+/**
+ * Map locally originated report events to webhook events. As with email
+ * alerts, unconfirmed anonymous reports are held back: partners get
+ * report.created once a report's trust is raised, then its later changes.
+ */
+const startWebhookDispatch = () => {
+  if (started) return;
+  started = true;
+
+  reportEvents.on('local', (event) => {
+    if (event.report.trustLevel === 'low') return;
+
+    let eventName = null;
+    if (event.type === 'created' || event.trustRaised) {
+      eventName = 'report.created';
+    } else if (event.previousStatus && event.previousStatus !== event.report.status) {
+      eventName = 'report.status_changed';
+    }
+    if (!eventName) return;
+
+    dispatchEvent(eventName, event).catch((error) => {
+      logger.error('Webhook dispatch failed:', {
+        event: eventName,
+        reportId: event.reportId,
+        error: error.message,
+      });
+    });
+  });
+};
+
+export {
+  SIGNATURE_HEADER,
+  generateSecret,
+  signPayload,
+  retryDelayMs,
+  dispatchEvent,
+  processDueDeliveries,
+  redeliver,
+  startWebhookDispatch,
+};
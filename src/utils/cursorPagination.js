@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+
+/**
+ * Keyset pagination over { createdAt: -1, _id: -1 } (newest first)
+ *
+ * Cursors are opaque base64url strings holding the createdAt/_id of the
+ * row they point at and the direction to read in, so rows inserted while a
+ * client pages through don't shift pages the way skip/limit does.
+ */
+
+const DIRECTIONS = ["next", "prev"];
+
+/**
+ * @param {Object} row - Document with createdAt and _id
+ * @param {string} direction - next (older rows) or prev (newer rows)
+ * @returns {string}
+ */
+export const encodeCursor = (row, direction) => Buffer
+  .from(JSON.stringify({ t: new Date(row.createdAt).toISOString(), id: row._id.toString(), d: direction }))
+  .toString("base64url");
+
+/**
+ * @param {string} value - Cursor from encodeCursor
+ * @returns {{ createdAt: Date, id: mongoose.Types.ObjectId, direction: string }|null} null when malformed
+ */
+export const decodeCursor = (value) => {
+  try {
+    const { t, id, d } = JSON.parse(Buffer.from(String(value), "base64url").toString("utf8"));
+    const createdAt = new Date(t);
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id) || !DIRECTIONS.includes(d)) {
+      return null;
+    }
+    return { createdAt, id: new mongoose.Types.ObjectId(id), direction: d };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read one page of a query by cursor
+ * @param {mongoose.Query} query - Unexecuted find() with its filter and projection
+ * @param {Object} options
+ * @param {Object|null} options.cursor - Decoded cursor, or null for the first page
+ * @param {number} options.limit - Page size
+ * @returns {Promise<{ items: Object[], next: string|null, prev: string|null }>}
+ */
+export const findPage = async (query, { cursor, limit }) => {
+  const older = !cursor || cursor.direction === "next";
+
+  if (cursor) {
+    const op = older ? "$lt" : "$gt";
+    query.and([{
+      $or: [
+        { createdAt: { [op]: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { [op]: cursor.id } },
+      ],
+    }]);
+  }
+
+  // Reading newer rows walks the index the other way; flip back afterwards
+  const order = older ? -1 : 1;
+  const rows = await query.sort({ createdAt: order, _id: order }).limit(limit + 1);
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (!older) items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  // Going back always leads somewhere; the other way only when a row was left over
+  const hasOlder = older ? hasMore : Boolean(cursor);
+  const hasNewer = older ? Boolean(cursor) : hasMore;
+
+  return {
+    items,
+    next: last && hasOlder ? encodeCursor(last, "next") : null,
+    prev: first && hasNewer ? encodeCursor(first, "prev") : null,
+  };
+};
+
+export default {
+  encodeCursor,
+  decodeCursor,
+  findPage,
+};
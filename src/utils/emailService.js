@@ -139,6 +139,47 @@ class EmailService {
     }
   }
 
+  async sendFloodAlert(user, report, subscription) {
+    if (!this.isConfigured) {
+      return { 
+        success: false, 
+        error: 'Email service not configured'
+      };
+    }
+
+    if (!user || !user.email || !report) {
+      return {
+        success: false,
+        error: 'User and report information are required'
+      };
+    }
+
+    const severityLabel = (report.severity || '').toUpperCase();
+
+    const mailOptions = {
+      from: `"${this.brandName}" <${this.brandEmail}>`,
+      to: user.email,
+      subject: `FloodWatch.ph Alert: ${severityLabel} flooding reported near ${subscription.name || 'your watch area'}`,
+      html: this.generateFloodAlertTemplate(user, report, subscription),
+      text: this.generateFloodAlertText(user, report, subscription),
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`Flood alert sent to ${user.email}`);
+      return { 
+        success: true, 
+        messageId: info.messageId
+      };
+    } catch (error) {
+      console.error('Error sending flood alert:', error.message);
+      return { 
+        success: false, 
+        error: error.message
+      };
+    }
+  }
+
   generate2FATemplate(code) {
     return `
 <!DOCTYPE html>
@@ -518,6 +559,210 @@ For support, please contact our help center or visit our website.
     `.trim();
   }
 
+  generateFloodAlertTemplate(user, report, subscription) {
+    const safeUserName = this.escapeHtml(user.name || 'FloodWatch User');
+    const safeAreaName = this.escapeHtml(subscription.name || 'your watch area');
+    const safeLocation = this.escapeHtml(report.location || 'Location not specified');
+    const safeDescription = this.escapeHtml(report.description || '');
+    const severityColors = {
+      light: '#ca8a04',
+      moderate: '#ea580c',
+      severe: '#dc2626',
+    };
+    const severityColor = severityColors[report.severity] || '#1e40af';
+    const depth = report.waterLevel?.depthCm;
+    const reportedAt = new Date(report.createdAt || Date.now()).toLocaleString('en-PH', { timeZone: 'Asia/Manila' });
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>FloodWatch.ph Flood Alert</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        body { 
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
+            line-height: 1.6; 
+            color: #2d3748; 
+            background: linear-gradient(135deg, #1e40af 0%, #3b82f6 100%);
+            min-height: 100vh;
+            padding: 20px;
+        }
+        .container {
+            max-width: 600px; 
+            margin: 0 auto;
+            background: white;
+            border-radius: 16px;
+            overflow: hidden;
+            box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+        }
+        .header { 
+            background: ${severityColor}; 
+            color: white; 
+            padding: 40px 30px; 
+            text-align: center; 
+        }
+        .header h1 {
+            font-size: 2.2rem;
+            font-weight: 300;
+            margin-bottom: 10px;
+        }
+        .header p {
+            opacity: 0.9;
+            font-size: 1.1rem;
+        }
+        .content { 
+            padding: 40px 30px; 
+        }
+        .greeting {
+            font-size: 1.2rem;
+            margin-bottom: 25px;
+            color: #4a5568;
+        }
+        .report-details {
+            background: #f8fafc;
+            border: 1px solid #e2e8f0;
+            border-left: 6px solid ${severityColor};
+            border-radius: 12px;
+            padding: 25px;
+            margin: 25px 0;
+        }
+        .report-details p {
+            margin-bottom: 8px;
+        }
+        .severity-badge {
+            display: inline-block;
+            background: ${severityColor};
+            color: white;
+            padding: 4px 12px;
+            border-radius: 999px;
+            font-weight: bold;
+            text-transform: uppercase;
+            font-size: 0.9rem;
+        }
+        .safety-notice {
+            background: #fff9ed;
+            border: 1px solid #fed7aa;
+            border-radius: 12px;
+            padding: 20px;
+            margin: 25px 0;
+        }
+        .safety-notice h3 {
+            color: #c05621;
+            margin-bottom: 10px;
+        }
+        .cta-section {
+            text-align: center;
+            margin: 30px 0;
+        }
+        .cta-button {
+            display: inline-block;
+            background: linear-gradient(135deg, #1e40af 0%, #3b82f6 100%);
+            color: white;
+            padding: 15px 30px;
+            text-decoration: none;
+            border-radius: 8px;
+            font-weight: bold;
+            font-size: 1.1rem;
+        }
+        .footer { 
+            text-align: center; 
+            margin-top: 40px; 
+            color: #718096; 
+            font-size: 14px;
+            border-top: 1px solid #e2e8f0;
+            padding-top: 30px;
+        }
+        @media only screen and (max-width: 600px) {
+            .content { padding: 25px 20px; }
+            .header { padding: 30px 20px; }
+            .header h1 { font-size: 1.8rem; }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🌊 Flood Alert</h1>
+            <p>New report in ${safeAreaName}</p>
+        </div>
+        <div class="content">
+            <div class="greeting">
+                <p>Hello <strong>${safeUserName}</strong>,</p>
+            </div>
+            
+            <p>A new flood report matches one of your FloodWatch.ph watch areas.</p>
+            
+            <div class="report-details">
+                <p><span class="severity-badge">${this.escapeHtml(report.severity || '')}</span></p>
+                <p><strong>Location:</strong> ${safeLocation}</p>
+                ${depth !== undefined && depth !== null ? `<p><strong>Water depth:</strong> approx. ${Math.round(depth)} cm</p>` : ''}
+                ${safeDescription ? `<p><strong>Details:</strong> ${safeDescription}</p>` : ''}
+                <p><strong>Reported:</strong> ${reportedAt}</p>
+            </div>
+            
+            <div class="safety-notice">
+                <h3>⚠️ Stay Safe</h3>
+                <p>Avoid wading through floodwater and follow advisories from your LGU and PAGASA. Community reports are not yet verified by moderators.</p>
+            </div>
+            
+            <div class="cta-section">
+                <a href="${process.env.FRONTEND_URL || 'https://floodwatch.ph'}" class="cta-button">
+                    View the Flood Map
+                </a>
+            </div>
+            
+            <p>Stay safe,<br>
+            <strong>The FloodWatch.ph Team</strong></p>
+        </div>
+        <div class="footer">
+            <p>You are receiving this because you set up a watch area on FloodWatch.ph.</p>
+            <p>You can change or turn off your alerts in your account settings.</p>
+            <p>&copy; ${new Date().getFullYear()} FloodWatch.ph. All rights reserved.</p>
+        </div>
+    </div>
+</body>
+</html>
+    `;
+  }
+
+  generateFloodAlertText(user, report, subscription) {
+    const depth = report.waterLevel?.depthCm;
+    const reportedAt = new Date(report.createdAt || Date.now()).toLocaleString('en-PH', { timeZone: 'Asia/Manila' });
+
+    return `
+FLOODWATCH.PH FLOOD ALERT
+
+Hello ${user.name || 'FloodWatch User'},
+
+A new flood report matches your watch area "${subscription.name || 'your watch area'}".
+
+Severity: ${(report.severity || '').toUpperCase()}
+Location: ${report.location || 'Location not specified'}
+${depth !== undefined && depth !== null ? `Water depth: approx. ${Math.round(depth)} cm\n` : ''}${report.description ? `Details: ${report.description}\n` : ''}Reported: ${reportedAt}
+
+⚠️ STAY SAFE:
+Avoid wading through floodwater and follow advisories from your LGU and PAGASA. Community reports are not yet verified by moderators.
+
+View the flood map:
+${process.env.FRONTEND_URL || 'https://floodwatch.ph'}
+
+Stay safe,
+The FloodWatch.ph Team
+
+---
+You are receiving this because you set up a watch area on FloodWatch.ph.
+You can change or turn off your alerts in your account settings.
+© ${new Date().getFullYear()} FloodWatch.ph. All rights reserved.
+    `.trim();
+  }
+
   escapeHtml(text) {
     if (!text) return '';
     const map = {
@@ -0,0 +1,185 @@
+/**
+ * Geospatial helpers shared by the flood report routes
+ */
+
+/**
+ * Build a GeoJSON Point from a latitude/longitude pair
+ * @param {number|string} latitude
+ * @param {number|string} longitude
+ * @returns {Object|null} GeoJSON Point, or null when either coordinate is missing
+ */
+export const toGeoPoint = (latitude, longitude) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return null;
+  }
+
+  // GeoJSON stores coordinates as [longitude, latitude]
+  return {
+    type: "Point",
+    coordinates: [lng, lat],
+  };
+};
+
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" bounding box string
+ * @param {string} value - Comma separated bounding box
+ * @returns {number[]|null} [minLng, minLat, maxLng, maxLat], or null when invalid
+ */
+export const parseBbox = (value) => {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const parts = value.split(",").map((part) => parseFloat(part.trim()));
+  if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part))) {
+    return null;
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) {
+    return null;
+  }
+  if (minLng >= maxLng || minLat >= maxLat) {
+    return null;
+  }
+
+  return parts;
+};
+
+// Widest strip used for boxes of 180 degrees of longitude or more
+const MAX_STRIP_WIDTH = 90;
+
+const bboxRing = (minLng, minLat, maxLng, maxLat) => [[
+  [minLng, minLat],
+  [maxLng, minLat],
+  [maxLng, maxLat],
+  [minLng, maxLat],
+  [minLng, minLat],
+]];
+
+/**
+ * Convert a bounding box into a closed GeoJSON Polygon for $geoWithin.
+ * Polygon edges are geodesics, so a box 180 degrees wide or more (such as a
+ * fully zoomed-out map, where -180 and 180 are the same meridian) is
+ * ambiguous as one ring; those become a MultiPolygon of narrower strips.
+ * @param {number[]} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {Object} GeoJSON Polygon, or MultiPolygon for very wide boxes
+ */
+export const bboxToPolygon = ([minLng, minLat, maxLng, maxLat]) => {
+  const width = maxLng - minLng;
+  if (width < 180) {
+    return {
+      type: "Polygon",
+      coordinates: bboxRing(minLng, minLat, maxLng, maxLat),
+    };
+  }
+
+  const strips = Math.ceil(width / MAX_STRIP_WIDTH);
+  const stripWidth = width / strips;
+  return {
+    type: "MultiPolygon",
+    coordinates: Array.from({ length: strips }, (_, index) => bboxRing(
+      minLng + index * stripWidth,
+      minLat,
+      index === strips - 1 ? maxLng : minLng + (index + 1) * stripWidth,
+      maxLat
+    )),
+  };
+};
+
+/**
+ * Check whether [lng, lat] coordinates fall inside a bounding box
+ * @param {number[]} coordinates - [longitude, latitude]
+ * @param {number[]} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {boolean}
+ */
+export const pointInBbox = (coordinates, [minLng, minLat, maxLng, maxLat]) => {
+  if (!Array.isArray(coordinates) || coordinates.length < 2) return false;
+  const [lng, lat] = coordinates;
+  return lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat;
+};
+
+const isLngLat = (position) => Array.isArray(position)
+  && position.length === 2
+  && position.every((value) => typeof value === "number" && Number.isFinite(value))
+  && Math.abs(position[0]) <= 180
+  && Math.abs(position[1]) <= 90;
+
+/**
+ * Validate GeoJSON Polygon coordinates (a single closed outer ring)
+ * @param {Array} coordinates - [[[lng, lat], ...]]
+ * @param {number} [maxPoints] - Max positions in the ring
+ * @returns {boolean}
+ */
+export const isValidPolygon = (coordinates, maxPoints = 500) => {
+  if (!Array.isArray(coordinates) || coordinates.length !== 1) return false;
+
+  const [ring] = coordinates;
+  if (!Array.isArray(ring) || ring.length < 4 || ring.length > maxPoints) return false;
+  if (!ring.every(isLngLat)) return false;
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+};
+
+/**
+ * Validate a GeoJSON Point position
+ * @param {Array} coordinates - [lng, lat]
+ * @returns {boolean}
+ */
+export const isValidPosition = (coordinates) => isLngLat(coordinates);
+
+/**
+ * Approximate centre of a Polygon or MultiPolygon: the mean of the outer ring
+ * vertices of its largest part. Good enough for a search result pin.
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Object|null} GeoJSON Point
+ */
+export const polygonCenter = (geometry) => {
+  let rings = [];
+  if (geometry?.type === "Polygon") rings = [geometry.coordinates?.[0]];
+  if (geometry?.type === "MultiPolygon") rings = (geometry.coordinates || []).map((polygon) => polygon?.[0]);
+
+  const ring = rings
+    .filter((candidate) => Array.isArray(candidate) && candidate.every(isLngLat))
+    .reduce((largest, candidate) => (candidate.length > largest.length ? candidate : largest), []);
+  if (ring.length === 0) return null;
+
+  // The closing position repeats the first one
+  const positions = ring.length > 1 ? ring.slice(0, -1) : ring;
+  const [lngSum, latSum] = positions.reduce(([lng, lat], position) => [lng + position[0], lat + position[1]], [0, 0]);
+
+  return { type: "Point", coordinates: [lngSum / positions.length, latSum / positions.length] };
+};
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+/**
+ * Great-circle distance between two [lng, lat] points (haversine)
+ * @param {number[]} from - [longitude, latitude]
+ * @param {number[]} to - [longitude, latitude]
+ * @returns {number} Distance in metres
+ */
+export const distanceMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+export default {
+  toGeoPoint,
+  parseBbox,
+  bboxToPolygon,
+  pointInBbox,
+  distanceMeters,
+  isValidPolygon,
+  isValidPosition,
+  polygonCenter,
+};
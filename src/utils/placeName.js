@@ -0,0 +1,85 @@
+/**
+ * Place name normalisation for gazetteer search
+ *
+ * Names and queries go through the same steps: lowercase, strip diacritics
+ * (Niño -> nino), expand common Filipino abbreviations (Sto. -> santo) and
+ * drop words that only describe the kind of area (barangay, city of).
+ * Matching is done on word trigrams so misspellings still overlap.
+ */
+
+// Abbreviations as they appear once punctuation is removed
+const ABBREVIATIONS = {
+  brgy: "barangay",
+  bgy: "barangay",
+  bgry: "barangay",
+  sto: "santo",
+  sta: "santa",
+  sn: "san",
+  gen: "general",
+  pres: "president",
+  mt: "mount",
+  pob: "poblacion",
+  subd: "subdivision",
+  hts: "heights",
+  ext: "extension",
+  cmpd: "compound",
+  cpd: "compound",
+  ave: "avenue",
+  av: "avenue",
+  blvd: "boulevard",
+  st: "street",
+  rd: "road",
+  hwy: "highway",
+};
+
+// Words that don't help tell places apart ("City of Marikina" = "Marikina City")
+const IGNORED_WORDS = new Set(["barangay", "city", "of", "municipality", "the"]);
+
+/**
+ * Normalise a place name or search query
+ * @param {string} text
+ * @returns {string} e.g. "Brgy. Sto. Niño" -> "santo nino"
+ */
+export const normalizePlaceName = (text) => String(text ?? "")
+  .normalize("NFD")
+  .replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, " ")
+  .trim()
+  .split(" ")
+  .map((word) => ABBREVIATIONS[word] || word)
+  .filter((word) => word && !IGNORED_WORDS.has(word))
+  .join(" ");
+
+/**
+ * Distinct trigrams of a normalised name, each word padded so that word
+ * starts weigh more ("  p", " pr", "pro", ...)
+ * @param {string} normalized - Output of normalizePlaceName
+ * @returns {string[]}
+ */
+export const placeTrigrams = (normalized) => {
+  const trigrams = new Set();
+  for (const word of normalized.split(" ").filter(Boolean)) {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i += 1) {
+      trigrams.add(padded.slice(i, i + 3));
+    }
+  }
+  return [...trigrams];
+};
+
+/**
+ * Search fields stored on gazetteer entries
+ * @param {string} name - Display name
+ * @returns {{ searchName: string, searchTrigrams: string[] }}
+ */
+export const placeSearchFields = (name) => {
+  const searchName = normalizePlaceName(name);
+  return { searchName, searchTrigrams: placeTrigrams(searchName) };
+};
+
+export default {
+  normalizePlaceName,
+  placeTrigrams,
+  placeSearchFields,
+};
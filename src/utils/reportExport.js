@@ -0,0 +1,140 @@
+/**
+ * Streaming serializers for flood report exports.
+ *
+ * Each format writes a header, one chunk per report and a footer, so the
+ * export route can pipe a Mongo cursor straight to the response.
+ */
+
+const CSV_COLUMNS = [
+  "id",
+  "severity",
+  "status",
+  "verified",
+  "depthCm",
+  "waterLevel",
+  "location",
+  "description",
+  "latitude",
+  "longitude",
+  "reportedBy",
+  "createdAt",
+  "updatedAt",
+];
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Keep user-supplied text from being evaluated as a spreadsheet formula
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeXml = (value) => {
+  if (value === null || value === undefined) return "";
+  return String(value).replace(/[<>&'"]/g, (char) => ({
+    "<": "&lt;",
+    ">": "&gt;",
+    "&": "&amp;",
+    "'": "&apos;",
+    '"': "&quot;",
+  })[char]);
+};
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+const reportProperties = (report) => ({
+  id: report._id.toString(),
+  severity: report.severity,
+  status: report.status,
+  verified: report.verified,
+  depthCm: report.waterLevel?.depthCm ?? null,
+  waterLevel: report.waterLevel?.reference ?? null,
+  location: report.location,
+  description: report.description,
+  reportedBy: report.reportedBy,
+  createdAt: toIso(report.createdAt),
+  updatedAt: toIso(report.updatedAt),
+});
+
+const formats = {
+  geojson: {
+    contentType: "application/geo+json",
+    extension: "geojson",
+    header: () => '{"type":"FeatureCollection","features":[\n',
+    row: (report, index) => {
+      const feature = {
+        type: "Feature",
+        id: report._id.toString(),
+        geometry: report.geo?.coordinates ? { type: "Point", coordinates: report.geo.coordinates } : null,
+        properties: reportProperties(report),
+      };
+      return `${index > 0 ? ",\n" : ""}${JSON.stringify(feature)}`;
+    },
+    footer: () => "\n]}\n",
+  },
+
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    header: () => `${CSV_COLUMNS.join(",")}\r\n`,
+    row: (report) => {
+      const row = {
+        ...reportProperties(report),
+        latitude: report.latitude,
+        longitude: report.longitude,
+      };
+      return `${CSV_COLUMNS.map((column) => escapeCsv(row[column])).join(",")}\r\n`;
+    },
+    footer: () => "",
+  },
+
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml",
+    extension: "kml",
+    header: () => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      "<Document>",
+      "<name>FloodWatch.ph flood reports</name>",
+      "",
+    ].join("\n"),
+    row: (report) => {
+      const properties = reportProperties(report);
+      const data = Object.entries(properties)
+        .map(([name, value]) => `<Data name="${name}"><value>${escapeXml(value)}</value></Data>`)
+        .join("");
+      const point = report.geo?.coordinates
+        ? `<Point><coordinates>${report.geo.coordinates.join(",")}</coordinates></Point>`
+        : "";
+
+      return [
+        "<Placemark>",
+        `<name>${escapeXml(`${report.severity} flood - ${report.location}`)}</name>`,
+        `<description>${escapeXml(report.description)}</description>`,
+        properties.createdAt ? `<TimeStamp><when>${properties.createdAt}</when></TimeStamp>` : "",
+        `<ExtendedData>${data}</ExtendedData>`,
+        point,
+        "</Placemark>\n",
+      ].join("");
+    },
+    footer: () => "</Document>\n</kml>\n",
+  },
+};
+
+export const EXPORT_FORMATS = Object.keys(formats);
+
+/**
+ * Look up the serializer for an export format
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Object|null} Serializer with contentType, extension, header, row and footer
+ */
+export const getExportFormat = (format) => formats[format] || null;
+
+export default {
+  EXPORT_FORMATS,
+  getExportFormat,
+};
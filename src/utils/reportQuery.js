@@ -0,0 +1,96 @@
+import FloodReport, { SEVERITY_LEVELS } from "../models/FloodReport.js";
+
+/**
+ * Parsing for the report list query language: comma-separated severities,
+ * sort keys and sparse fieldsets. Every parser returns null for input it
+ * doesn't recognise, so routes can validate with the same function they use
+ * to build the query.
+ */
+
+// Public sort keys and the paths they sort on. Severity levels are named so
+// that alphabetical order is also light < moderate < severe.
+export const SORT_FIELDS = {
+  createdAt: "createdAt",
+  updatedAt: "updatedAt",
+  lastActivityAt: "lastActivityAt",
+  severity: "severity",
+  depth: "waterLevel.depthCm",
+  confirmCount: "confirmCount",
+};
+
+// Sorts by text search score; only valid together with q
+export const RELEVANCE_SORT = "relevance";
+
+export const MAX_SORT_KEYS = 3;
+
+// Never selectable, even when named in fields=
+const HIDDEN_FIELDS = ["__v", "submitterIpHash", "submitterDeviceHash"];
+
+// Top-level schema paths, so new fields become selectable without a list to keep in sync
+export const SELECTABLE_FIELDS = [...new Set(
+  Object.keys(FloodReport.schema.paths).map((path) => path.split(".")[0])
+)].filter((field) => !HIDDEN_FIELDS.includes(field));
+
+const splitList = (value) => (typeof value === "string" ? value.split(",").map((item) => item.trim()) : []);
+
+/**
+ * "light,severe" -> ["light", "severe"]
+ * @param {string} value
+ * @returns {string[]|null} null when empty or any level is unknown
+ */
+export const parseSeverities = (value) => {
+  const levels = splitList(value);
+  if (levels.length === 0 || !levels.every((level) => SEVERITY_LEVELS.includes(level))) return null;
+  return [...new Set(levels)];
+};
+
+/**
+ * "-severity,createdAt" -> { severity: -1, createdAt: 1, _id: -1 }
+ * A leading "-" sorts descending. _id is appended as a tie-breaker so pages
+ * stay stable when sort values repeat.
+ * @param {string} value
+ * @param {Object} [options] - { textSearch: whether q is given, allowing "relevance" }
+ * @returns {Object|null} Mongo sort, or null when invalid
+ */
+export const parseSort = (value, { textSearch = false } = {}) => {
+  const keys = splitList(value);
+  if (keys.length === 0 || keys.length > MAX_SORT_KEYS) return null;
+
+  const sort = {};
+  for (const key of keys) {
+    if (key === RELEVANCE_SORT && textSearch) {
+      sort.score = { $meta: "textScore" };
+      continue;
+    }
+
+    const descending = key.startsWith("-");
+    const path = SORT_FIELDS[descending ? key.slice(1) : key];
+    if (!path || path in sort) return null;
+    sort[path] = descending ? -1 : 1;
+  }
+
+  const first = Object.values(sort)[0];
+  sort._id = typeof first === "number" ? first : -1;
+  return sort;
+};
+
+/**
+ * "severity,location" -> "_id severity location"
+ * @param {string} value
+ * @returns {string|null} Mongoose projection, or null when empty or any field is unknown
+ */
+export const parseFields = (value) => {
+  const fields = splitList(value);
+  if (fields.length === 0 || !fields.every((field) => SELECTABLE_FIELDS.includes(field))) return null;
+  return ["_id", ...new Set(fields.filter((field) => field !== "_id"))].join(" ");
+};
+
+export default {
+  SORT_FIELDS,
+  RELEVANCE_SORT,
+  MAX_SORT_KEYS,
+  SELECTABLE_FIELDS,
+  parseSeverities,
+  parseSort,
+  parseFields,
+};
@@ -0,0 +1,78 @@
+/**
+ * Structured water level helpers.
+ *
+ * Reference levels follow the MMDA flood gauge, with the approximate depth
+ * in centimetres each one stands for.
+ */
+
+const WATER_LEVEL_REFERENCES = {
+  gutter: 20, // ~8 in
+  half_knee: 25, // ~10 in
+  knee: 48, // ~19 in
+  waist: 94, // ~37 in
+  chest: 114, // ~45 in
+  neck: 140, // ~55 in
+  above_head: 180,
+};
+
+const WATER_LEVEL_REFERENCE_NAMES = Object.keys(WATER_LEVEL_REFERENCES);
+
+const MAX_WATER_DEPTH_CM = 1000;
+
+// Upper depth bound (exclusive) for each severity, based on MMDA passability:
+// gutter to half-knee is passable to all vehicles, knee to tire deep is not
+// passable to light vehicles, waist deep and above is not passable to any.
+const SEVERITY_DEPTH_LIMITS = [
+  { severity: "light", below: 30 },
+  { severity: "moderate", below: 90 },
+  { severity: "severe", below: Infinity },
+];
+
+/**
+ * Check whether a request body carries any water level information
+ * @param {Object} waterLevel - Raw waterLevel from the request body
+ * @returns {boolean}
+ */
+export const hasWaterLevel = (waterLevel) => {
+  if (!waterLevel || typeof waterLevel !== "object") return false;
+  return (waterLevel.depthCm !== undefined && waterLevel.depthCm !== "") || Boolean(waterLevel.reference);
+};
+
+/**
+ * Normalize a submitted water level so depthCm is always set
+ * @param {Object} waterLevel - { depthCm?, reference? }
+ * @returns {Object|undefined} { depthCm, reference? }, or undefined when empty
+ */
+export const normalizeWaterLevel = (waterLevel) => {
+  if (!hasWaterLevel(waterLevel)) return undefined;
+
+  const depthCm = parseFloat(waterLevel.depthCm);
+  const reference = WATER_LEVEL_REFERENCES[waterLevel.reference] ? waterLevel.reference : undefined;
+
+  return {
+    depthCm: Number.isFinite(depthCm) ? depthCm : WATER_LEVEL_REFERENCES[reference],
+    reference,
+  };
+};
+
+/**
+ * Derive a severity level from a water depth
+ * @param {number} depthCm - Water depth in centimetres
+ * @returns {string|undefined} light, moderate or severe
+ */
+export const deriveSeverity = (depthCm) => {
+  if (!Number.isFinite(depthCm)) return undefined;
+  return SEVERITY_DEPTH_LIMITS.find((limit) => depthCm < limit.below).severity;
+};
+
+export {
+  WATER_LEVEL_REFERENCES,
+  WATER_LEVEL_REFERENCE_NAMES,
+  MAX_WATER_DEPTH_CM,
+};
+
+export default {
+  hasWaterLevel,
+  normalizeWaterLevel,
+  deriveSeverity,
+};